@@ -1,6 +1,8 @@
 require('dotenv').config();
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 
 const express = require('express');
 const session = require('express-session');
@@ -9,149 +11,284 @@ const multer = require('multer');
 const axios = require('axios');
 const sanitizeHtml = require('sanitize-html');
 
-const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
 const { platform } = require('os');
 
-const refreshLocks = {};
+const prisma = require('./lib/db');
+const { META_PROVIDERS, getBrandTokens, setBrandToken, refreshBrandToken, startTokenRefresher } = require('./lib/tokens');
+const { CREDENTIAL_FIELDS, PLAIN_CREDENTIAL_PLATFORMS, encryptCredentials, decryptBrandCredentials, safeEqual } = require('./lib/secrets');
+const { PLATFORM_LABELS, parseJsonSafe, parseBrandForm, brandFormFromJson, brandTargets, parseTargets, diffBrandSettings, validateCredentials } = require('./lib/brands');
+const { hasNativeAdapter, publishNative } = require('./lib/publishers');
+const { GENERATORS, generate } = require('./lib/generators');
+const { startDelivery, finishDelivery } = require('./lib/deliveries');
+const { enqueue, startWorker } = require('./lib/queue');
+const { ROLES, can, getMemberships, authorize, brandAccess, postAccess, campaignAccess, workspaceAccess } = require('./lib/access');
+const { STATUSES, EDITABLE_STATUSES, RESCHEDULABLE_STATUSES, TRANSITIONS, requiredApprovals, availableActions, approvalsInRound, selfApprovalReason, transition, reschedule, enforceChannelLimits, systemTransition } = require('./lib/workflow');
+const { minGapMinutes, parseRange, findConflicts, conflictWarning } = require('./lib/calendar');
+const { isValidTimezone, listTimezones, displayZone, parseZonedInput, formatInZone } = require('./lib/timezones');
+const { WEEKDAYS, parseRule, nextOccurrence, describeRule, spawnDuePosts } = require('./lib/recurring');
+const { hasChannelRules } = require('./lib/slots');
+const { REVISION_FIELDS, REGENERATE_FIELDS, parseHashtags, recordRevisions, createVariant, variantContent } = require('./lib/revisions');
+const { mediaKind, maxUploadBytes, formatSize, storeMedia, readMedia, mediaUsage, deleteMediaIfUnused, deleteBrandMedia, setPostMedia, setCoverMedia, postMediaItems, urlSecret, signedMediaUrl, verifyMediaSignature, loadPostMedia, importLegacyImage } = require('./lib/media');
+const { checkPostMedia, createThumbnail } = require('./lib/renditions');
+const { CONTENT_LIMITS, checkContent } = require('./lib/limits');
+const { driverFor } = require('./lib/storage');
+const { API_SCOPES, createApiToken, revokeApiToken, apiAuth, requireScope, apiHandler, apiUserId, apiError, apiErrorHandler, brandJson, documentJson, mediaJson, postJson } = require('./lib/api');
+const { openApiSpec } = require('./lib/openapi');
+const { WEBHOOK_EVENTS, createWebhook, parseWebhookForm, webhookSecret, rotateWebhookSecret, emitPostEvent, deliverWebhook, markDeliveryFailed, pingWebhook, redeliver } = require('./lib/webhooks');
+const { notifyPost, notifyGeneration, startLiveListener, streamEvents } = require('./lib/live');
+const { PROBLEM_LABELS, GENERATION_FAILED_PREFIX, findProblems, retryPublish, retryGeneration, cancelPending } = require('./lib/problems');
+const { queueIndexing, indexDocument, markIndexFailed, removeDocument, removeBrandDocuments, reconcileDocuments } = require('./lib/rag');
+const { REDACTED, auditChanges, audit, auditScope, auditFilters, auditCsv } = require('./lib/audit');
+
+// Multer only parks uploads here; they are checked and moved into the media library
+// by storeUpload and removed once the response is sent.
+const UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'smm-uploads');
+if (!fs.existsSync(UPLOAD_TMP_DIR)) fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+
+const upload = multer({ dest: UPLOAD_TMP_DIR, limits: { fileSize: maxUploadBytes(), files: 20 } });
 
-async function getGlobalInstagramFacebookToken() {
-  try {
-    const row = await prisma.InstagramFacebookToken.findFirst();
-    return row ? row.token : null;
-  } catch (err) {
-    console.error('Error fetching global token:', err.message);
-    return null;
-  }
+const app = express();
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+app.use('/static', express.static(path.join(__dirname, 'public')));
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const files = [].concat(req.file || [], ...Object.values(req.files || {}));
+    files.forEach(f => fs.promises.rm(f.path, { force: true }).catch(() => {}));
+  });
+  next();
+});
+
+app.use(session({
+  secret: process.env.SESSION_SECRET || 'secret',
+  resave: false,
+  saveUninitialized: false
+}));
+app.use(flash());
+
+app.use((req, res, next) => {
+  res.locals.role = null;
+  res.locals.can = () => false;
+  res.locals.formatInZone = formatInZone;
+  next();
+});
+
+function ensureAuth(req, res, next) {
+  if (req.session.user) return next();
+  req.flash('error','Please login');
+  res.redirect('/login');
 }
 
-async function setGlobalInstagramFacebookToken(token) {
-  try {
-    return await prisma.InstagramFacebookToken.upsert({
-      where: { id: 1 }, // Предположим, что у вас всегда один глобальный токен
-      update: { token },
-      create: { token }
-    });
-  } catch (err) {
-    console.error('Error setting global token:', err.message);
-    throw err;
-  }
+// Multer errors (file too large, too many files) are reported like any other form
+// error instead of falling through to Express's error page.
+function handleUpload(middleware, { json = false } = {}) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${formatSize(maxUploadBytes())}` : err.message;
+    if (json) return res.json({ success: false, error: message });
+    req.flash('error', 'Upload failed: ' + message);
+    res.redirect(req.get('Referrer') || '/');
+  });
 }
 
-async function refreshBrandToken(brand, provider = 'instagram') {
-  const credsKey = provider === 'facebook' ? 'facebookCredentials' : 'instagramCredentials';
-  const credsRaw = brand[credsKey];
-  if (!credsRaw) return null;
+const cleanText = (value) => sanitizeHtml(value || '').trim() || null;
 
-  const creds = { ...credsRaw };
-  const appId = creds.app_id || creds.appId || creds.client_id || creds.clientId;
-  const appSecret = creds.app_secret || creds.appSecret || creds.client_secret || creds.clientSecret;
+async function storeUpload(file, brandId, userId, kinds) {
+  if (!file) return null;
+  const buffer = await fs.promises.readFile(file.path);
+  return storeMedia({ brandId, buffer, originalName: file.originalname, userId, kinds });
+}
 
-  if (!appId || !appSecret) {
-    console.warn(`${provider} credentials incomplete for brand`, brand.id);
-    return creds;
-  }
+async function libraryMedia(brandId, mediaId, kinds) {
+  const media = await prisma.media.findFirst({ where: { id: parseInt(mediaId) || 0, brandId } });
+  if (!media) throw new Error('Media not found in this brand\'s library');
+  if (kinds && !kinds.includes(mediaKind(media.mimeType))) throw new Error(`Expected ${kinds.join(' or ')}, got ${media.mimeType}`);
+  return media;
+}
 
-  const lockKey = `${brand.id}_${provider}`;
-  if (refreshLocks[lockKey]) {
-    await refreshLocks[lockKey];
-    const globalTokenAfter = await getGlobalInstagramFacebookToken();
-    if (globalTokenAfter) creds.access_token = globalTokenAfter;
-    return creds;
+// The media of a post or campaign, in order, as [{ mediaId, altText, caption }].
+// The media list sends media_order entries ("file:<n>" for the n-th upload,
+// "library:<id>" for a library item) with media_alt and media_caption alongside.
+// Forms without it (the TikTok tab) send uploads and a single media_id.
+async function chosenMediaList(req, files, brandId, kinds) {
+  const userId = req.session.user.id;
+  const order = [].concat(req.body.media_order || []);
+  if (!order.length) {
+    const uploaded = [];
+    for (const file of files) uploaded.push(await storeUpload(file, brandId, userId, kinds));
+    if (req.body.media_id) uploaded.push(await libraryMedia(brandId, req.body.media_id, kinds));
+    return uploaded.map(media => ({ mediaId: media.id }));
   }
 
-  let resolveLock;
-  refreshLocks[lockKey] = new Promise(res => { resolveLock = res; });
-
-  try {
-    const globalToken = await getGlobalInstagramFacebookToken();
-    if (!globalToken) {
-      console.warn('No global token for brand', brand.id, provider);
-      return creds;
+  const alts = [].concat(req.body.media_alt || []);
+  const captions = [].concat(req.body.media_caption || []);
+  const items = [];
+  for (const [i, entry] of order.entries()) {
+    const [source, ref] = entry.split(':');
+    let media;
+    if (source === 'file') {
+      if (!files[parseInt(ref)]) throw new Error('An uploaded file is missing, please choose it again');
+      media = await storeUpload(files[parseInt(ref)], brandId, userId, kinds);
+    } else if (source === 'library') {
+      media = await libraryMedia(brandId, ref, kinds);
+    } else {
+      throw new Error(`Unknown media item "${entry}"`);
     }
+    items.push({ mediaId: media.id, altText: cleanText(alts[i]), caption: cleanText(captions[i]) });
+  }
+  return items;
+}
 
-    const url = 'https://graph.facebook.com/v24.0/oauth/access_token';
-    const r = await axios.get(url, {
-      params: {
-        grant_type: 'fb_exchange_token',
-        client_id: appId,
-        client_secret: appSecret,
-        fb_exchange_token: globalToken,
-      },
-      paramsSerializer: p => new URLSearchParams(p).toString(),
-      timeout: 10000
-    });
+function libraryItems(brandId, kinds = ['image', 'video']) {
+  return prisma.media.findMany({
+    where: { brandId, OR: kinds.map(kind => ({ mimeType: { startsWith: kind + '/' } })) },
+    include: { renditions: { where: { purpose: 'thumbnail' }, select: { id: true } } },
+    orderBy: { createdAt: 'desc' },
+    take: 60
+  }).then(items => items.map(m => ({ ...m, url: signedMediaUrl(m), thumbUrl: mediaThumbUrl(m) })));
+}
 
-    const data = r.data;
-    if (data.access_token) {
-      await setGlobalInstagramFacebookToken(data.access_token);
-      console.log(`✅ Global token updated from FB response for brand ${brand.id} provider=${provider}`);
-      creds.access_token = data.access_token;
-      if (data.expires_in) {
-        creds.expires_at = new Date(Date.now() + Number(data.expires_in) * 1000).toISOString();
-      }
-    } else {
-      console.warn('⚠️ No access_token in FB response:', data);
-    }
+// Small preview for lists; the original until the thumbnail job has run.
+// Expects the media row with its thumbnail rendition included.
+function mediaThumbUrl(media) {
+  if (!media || mediaKind(media.mimeType) !== 'image') return null;
+  return signedMediaUrl(media, { rendition: media.renditions && media.renditions.length ? 'thumbnail' : null });
+}
 
-    return creds;
-  } catch (err) {
-    console.error(`❌ Error refreshing ${provider} token for brand ${brand.id}:`, err.message);
-    const curToken = await getGlobalInstagramFacebookToken();
-    if (curToken) creds.access_token = curToken;
-    return creds;
-  } finally {
+// No session check: the signature is the permission, so n8n and the platforms can
+// fetch the file too. Ranges are supported for video playback.
+app.get('/media/:id', async (req, res) => {
+  const mediaId = parseInt(req.params.id);
+  const rendition = req.query.rendition || null;
+  if (!verifyMediaSignature(mediaId, rendition, req.query.expires, req.query.signature)) {
+    return res.status(403).send('This link is invalid or has expired');
+  }
+
+  const media = await prisma.media.findUnique({ where: { id: mediaId } });
+  const item = media && rendition
+    ? await prisma.mediaRendition.findUnique({ where: { mediaId_purpose: { mediaId, purpose: rendition } } })
+    : media;
+  if (!item) return res.status(404).send('Not found');
 
-    resolveLock();
-    delete refreshLocks[lockKey];
+  let buffer;
+  try {
+    buffer = await readMedia(item);
+  } catch (e) {
+    console.error(`❌ Media ${mediaId} could not be read from ${item.driver}:`, e.message);
+    return res.status(502).send('Media is unavailable');
   }
-}
 
-const prisma = new PrismaClient();
+  const inline = ['image', 'video'].includes(mediaKind(item.mimeType));
+  let filename = (media.originalName || path.basename(media.storageKey)).replace(/["\\\r\n]/g, '');
+  if (rendition) filename = filename.replace(/\.[^.]*$/, '') + `-${rendition}` + path.extname(item.storageKey);
+  res.set({
+    'Content-Type': item.mimeType,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${filename}"`,
+    'Cache-Control': `private, max-age=${Math.max(0, parseInt(req.query.expires) - Math.floor(Date.now() / 1000))}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Accept-Ranges': 'bytes'
+  });
 
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+  const range = req.range(buffer.length);
+  if (range === -1) return res.status(416).set('Content-Range', `bytes */${buffer.length}`).end();
+  if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+    const { start, end } = range[0];
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+    return res.send(buffer.subarray(start, end + 1));
+  }
+  res.send(buffer);
+});
 
-const upload = multer({ dest: UPLOAD_DIR });
+app.get('/', ensureAuth, async (req,res)=>{
+  const memberships = await getMemberships(req.session.user.id);
+  const brands = await prisma.brand.findMany({
+    where: { workspaceId: { in: memberships.map(m => m.workspaceId) } },
+    orderBy: { id: 'desc' }
+  });
+  res.render('index', {
+    user: req.session.user,
+    brands,
+    memberships,
+    canCreateBrand: memberships.some(m => can(m.role, 'brand:create')),
+    canReview: memberships.some(m => can(m.role, 'post:approve')),
+    canFixProblems: memberships.some(m => can(m.role, 'post:edit')),
+    canAudit: memberships.some(m => can(m.role, 'audit:view')),
+    messages: req.flash()
+  });
+});
 
-const app = express();
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-app.use('/static', express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(UPLOAD_DIR));
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'secret',
-  resave: false,
-  saveUninitialized: false
-}));
-app.use(flash());
+async function findOpenInvitation(token) {
+  if (!token) return null;
+  const invitation = await prisma.invitation.findUnique({
+    where: { token: String(token) },
+    include: { workspace: true }
+  });
+  if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt < new Date()) return null;
+  return invitation;
+}
 
-function ensureAuth(req, res, next) {
-  if (req.session.user) return next();
-  req.flash('error','Please login');
-  res.redirect('/login');
+async function acceptInvitation(tx, invitation, userId) {
+  const claimed = await tx.invitation.updateMany({
+    where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+    data: { acceptedAt: new Date() }
+  });
+  if (!claimed.count) throw new Error('This invitation has already been used');
+
+  await tx.workspaceMember.upsert({
+    where: { workspaceId_userId: { workspaceId: invitation.workspaceId, userId } },
+    update: { role: invitation.role },
+    create: { workspaceId: invitation.workspaceId, userId, role: invitation.role }
+  });
 }
 
-app.get('/', ensureAuth, async (req,res)=>{
-  const brands = await prisma.brand.findMany({ orderBy: { id: 'desc' }});
-  res.render('index', { user: req.session.user, brands, messages: req.flash() });
+// Accounts are created through invitations; only the very first user can sign up
+// on their own, and gets a workspace to start with.
+app.get('/register', async (req,res)=>{
+  const invitation = await findOpenInvitation(req.query.token);
+  if (!invitation && await prisma.user.count()) {
+    req.flash('error', req.query.token ? 'This invitation is invalid or has expired' : 'Registration is by invitation only');
+    return res.redirect('/login');
+  }
+  res.render('register', { user: req.session.user, invitation, messages: req.flash() });
 });
-
-app.get('/register', (req,res)=> res.render('register', { user: req.session.user, messages: req.flash() }));
 app.post('/register', async (req,res)=>{
-  const { email, password, name } = req.body;
-  const hash = await bcrypt.hash(password, 10);
+  const { password, name, token } = req.body;
   try {
-    await prisma.user.create({ data: { email, passwordHash: hash, name }});
+    const invitation = await findOpenInvitation(token);
+    if (!invitation && await prisma.user.count()) throw new Error('registration is by invitation only');
+
+    const email = invitation ? invitation.email : (req.body.email || '').trim().toLowerCase();
+    const hash = await bcrypt.hash(password, 10);
+
+    const { user, workspaceId } = await prisma.$transaction(async (tx) => {
+      const user = await tx.user.create({ data: { email, passwordHash: hash, name }});
+      if (invitation) {
+        await acceptInvitation(tx, invitation, user.id);
+        return { user, workspaceId: invitation.workspaceId };
+      }
+      const workspace = await tx.workspace.create({ data: { name: `${name || email}'s workspace` } });
+      await tx.workspaceMember.create({ data: { workspaceId: workspace.id, userId: user.id, role: 'owner' } });
+      return { user, workspaceId: workspace.id };
+    });
+    await audit(req, 'user.register', {
+      entityId: user.id,
+      label: email,
+      workspaceId,
+      by: { userId: user.id, actor: email, apiTokenId: null },
+      note: invitation ? `Invited as ${invitation.role}` : null
+    });
+
     req.flash('success','Registered. Please login.');
     res.redirect('/login');
   } catch(e){
     console.error(e);
     req.flash('error','Registration failed: ' + e.message);
-    res.redirect('/register');
+    res.redirect('/register' + (token ? '?token=' + encodeURIComponent(token) : ''));
   }
 });
 
@@ -162,269 +299,1046 @@ app.post('/login', async (req,res)=>{
   if (!user) { req.flash('error','Invalid credentials'); return res.redirect('/login'); }
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) { req.flash('error','Invalid credentials'); return res.redirect('/login'); }
-  req.session.user = { id: user.id, email: user.email, name: user.name };
-  res.redirect('/');
+  const returnTo = req.session.returnTo;
+  delete req.session.returnTo;
+  req.session.user = { id: user.id, email: user.email, name: user.name, timezone: user.timezone };
+  await audit(req, 'user.login', { entityId: user.id, label: user.email });
+  res.redirect(returnTo || '/');
 });
 
 app.get('/logout', (req,res)=>{
   req.session.destroy(()=> res.redirect('/login'));
 });
 
-app.get('/brands/new', ensureAuth, (req,res)=> res.render('brand_new', { user: req.session.user, messages: req.flash() }));
-app.post("/brands/new", ensureAuth, upload.none(), async (req, res) => {
-  try {
-    const data = req.body;
+// A freshly created API token is flashed as 'apiToken' and shown once by the
+// api_tokens partial rather than as a message.
+function flashWithToken(req) {
+  const messages = req.flash();
+  const newToken = messages.apiToken ? messages.apiToken[0] : null;
+  delete messages.apiToken;
+  return { messages, newToken };
+}
 
-    const parseJsonSafe = (value) => {
-      if (!value || !value.trim()) return null;
-      try {
-        return JSON.parse(value);
-      } catch (e) {
-        console.error("Invalid JSON:", value);
-        throw new Error("Invalid JSON in credentials");
-      }
-    };
+// What the log keeps of a token: never its hash.
+const apiTokenAudit = (t) => ({ name: t.name, prefix: t.prefix, scopes: t.scopes, role: t.role, expiresAt: t.expiresAt });
 
-    const parseLangs = (value) => {
-      if (!value) return [];
-      return value.split(",").map(s => s.trim()).filter(Boolean);
-    };
+const apiTokenList = (where) => prisma.apiToken.findMany({ where, include: { createdBy: true }, orderBy: { createdAt: 'desc' } });
 
-    let instagramCreds = undefined;
-    if (data.instagram_credentials) {
-      instagramCreds = parseJsonSafe(data.instagram_credentials);
-      if (instagramCreds && instagramCreds.access_token) {
-        try {
-          await setGlobalInstagramFacebookToken(instagramCreds.access_token);
-          console.log('🌐 Saved global Instagram token from brand creation');
-        } catch (err) {
-          console.error('Failed to save global Instagram token:', err);
-        }
-        delete instagramCreds.access_token;
-      }
-    }
+app.get('/account', ensureAuth, async (req, res) => {
+  const account = await prisma.user.findUnique({ where: { id: req.session.user.id } });
+  res.render('account', {
+    user: req.session.user,
+    account,
+    timezones: listTimezones(),
+    tokens: await apiTokenList({ userId: account.id }),
+    scopes: API_SCOPES,
+    ...flashWithToken(req)
+  });
+});
 
-    let facebookCreds = undefined;
-    if (data.facebook_credentials) {
-      facebookCreds = parseJsonSafe(data.facebook_credentials);
-      if (facebookCreds && facebookCreds.access_token) {
-        try {
-          await setGlobalInstagramFacebookToken(facebookCreds.access_token);
-          console.log('🌐 Saved global Instagram/Facebook token from brand creation');
-        } catch (err) {
-          console.error('Failed to save global Instagram/Facebook token:', err);
-        }
-        delete facebookCreds.access_token;
-      }
-    }
+app.post('/account', ensureAuth, async (req, res) => {
+  try {
+    const timezone = (req.body.timezone || '').trim() || null;
+    if (timezone && !isValidTimezone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+
+    const before = await prisma.user.findUnique({ where: { id: req.session.user.id } });
+    const data = { name: (req.body.name || '').trim() || null, timezone };
+    const user = await prisma.user.update({ where: { id: before.id }, data });
+    req.session.user = { ...req.session.user, name: user.name, timezone: user.timezone };
+    const changes = auditChanges(before, data);
+    if (changes.length) await audit(req, 'user.update', { entityId: user.id, label: user.email, changes });
+    req.flash('success', 'Account updated');
+  } catch (e) {
+    req.flash('error', 'Failed to update account: ' + e.message);
+  }
+  res.redirect('/account');
+});
 
-    if (data.instagramFacebook_global_token && data.instagramFacebook_global_token.trim()) {
-      try {
-        await setGlobalInstagramFacebookToken(data.instagramFacebook_global_token.trim());
-        console.log('🌐 Saved global Instagram token from separate field');
-      } catch (err) {
-        console.error('Failed to save global Instagram token (field):', err);
-      }
-    }
+app.post('/account/tokens', ensureAuth, async (req, res) => {
+  try {
+    const { record, token } = await createApiToken({
+      name: req.body.name,
+      scopes: req.body.scopes,
+      userId: req.session.user.id,
+      createdById: req.session.user.id,
+      expiresInDays: req.body.expiresInDays
+    });
+    await audit(req, 'api_token.create', { entityId: record.id, label: `${record.name} (${record.prefix}…)`, after: apiTokenAudit(record) });
+    req.flash('apiToken', token);
+    req.flash('success', 'API token created');
+  } catch (e) {
+    req.flash('error', 'Failed to create token: ' + e.message);
+  }
+  res.redirect('/account#api-tokens');
+});
 
-    const brandData = {
-      name: data.name,
-      description: data.description || null,
-    
-      telegramChannel: data.telegram_channel || null,
-      telegramLanguages: parseLangs(data.telegram_languages),
-    
-      wordpressCredentials: data.wordpress_credentials ? JSON.parse(data.wordpress_credentials) : undefined,
-      wordpressLanguages: parseLangs(data.wordpress_languages),
-    
-      linkedinCredentials: data.linkedin_credentials ? JSON.parse(data.linkedin_credentials) : undefined,
-      linkedinLanguages: parseLangs(data.linkedin_languages),
-    
-      tiktokCredentials: data.tiktok_credentials || null,
-      tiktokLanguages: parseLangs(data.tiktok_languages),
-
-      instagramCredentials: instagramCreds ? instagramCreds : undefined,
-      instagramLanguages: parseLangs(data.instagram_languages),
-
-      facebookCredentials: facebookCreds ? facebookCreds : undefined,
-      facebookLanguages: parseLangs(data.facebook_languages),
-    };
+app.post('/account/tokens/:tokenId/revoke', ensureAuth, async (req, res) => {
+  const { count } = await revokeApiToken(req.params.tokenId, { userId: req.session.user.id });
+  if (count) await audit(req, 'api_token.revoke', { entityId: parseInt(req.params.tokenId) });
+  req.flash('success', 'API token revoked');
+  res.redirect('/account#api-tokens');
+});
 
-    await prisma.brand.create({ data: brandData });
+app.get('/invitations/:token', async (req, res) => {
+  const invitation = await findOpenInvitation(req.params.token);
+  if (!invitation) {
+    req.flash('error', 'This invitation is invalid or has expired');
+    return res.redirect('/');
+  }
 
-    req.flash("success", "Brand created");
-    res.redirect("/");
+  const user = req.session.user;
+  if (!user) {
+    const existing = await prisma.user.findUnique({ where: { email: invitation.email } });
+    if (!existing) return res.redirect('/register?token=' + encodeURIComponent(invitation.token));
+    req.session.returnTo = `/invitations/${encodeURIComponent(invitation.token)}`;
+    req.flash('error', 'Log in to accept the invitation');
+    return res.redirect('/login');
+  }
+
+  if (user.email.toLowerCase() !== invitation.email) {
+    req.flash('error', `This invitation was sent to ${invitation.email}`);
+    return res.redirect('/');
+  }
+
+  try {
+    await prisma.$transaction(tx => acceptInvitation(tx, invitation, user.id));
+    await audit(req, 'member.join', {
+      entityId: invitation.id,
+      entityType: 'invitation',
+      label: invitation.email,
+      workspaceId: invitation.workspaceId,
+      note: `Joined as ${invitation.role}`
+    });
+    req.flash('success', `You joined ${invitation.workspace.name}`);
+    res.redirect('/workspaces/' + invitation.workspaceId);
   } catch (e) {
-    console.error(e);
-    req.flash("error", "Failed to create brand: " + e.message);
-    res.redirect("/brands/new");
+    console.error('Accept invitation error:', e);
+    req.flash('error', 'Failed to accept invitation: ' + e.message);
+    res.redirect('/');
   }
 });
 
-app.post('/brands/:id/documents', ensureAuth, upload.single('document'), async (req,res)=>{
-  const brandId = parseInt(req.params.id);
-  const file = req.file;
-  if (!file) { req.flash('error','No file'); return res.redirect('/brands/'+brandId); }
+app.post('/workspaces', ensureAuth, async (req, res) => {
+  const name = (req.body.name || '').trim();
+  if (!name) {
+    req.flash('error', 'Workspace name cannot be empty');
+    return res.redirect('/');
+  }
 
-  const brand = await prisma.brand.findUnique({ where: { id: brandId }});
-  if (!brand) { req.flash('error','Brand not found'); return res.redirect('/'); }
+  const workspace = await prisma.workspace.create({
+    data: { name, members: { create: { userId: req.session.user.id, role: 'owner' } } }
+  });
+  await audit(req, 'workspace.create', { entityId: workspace.id, label: name, workspaceId: workspace.id, after: { name } });
+  req.flash('success', 'Workspace created');
+  res.redirect('/workspaces/' + workspace.id);
+});
 
-  await prisma.brandDocument.create({
-    data: {
-      brandId,
-      filename: file.filename,
-      originalName: file.originalname,
-      mime: file.mimetype
+app.get('/workspaces/:id', ensureAuth, workspaceAccess('workspace:view'), async (req, res) => {
+  const workspace = await prisma.workspace.findUnique({
+    where: { id: req.workspaceId },
+    include: {
+      members: { include: { user: true }, orderBy: { createdAt: 'asc' } },
+      invitations: {
+        where: { acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+        include: { invitedBy: true },
+        orderBy: { createdAt: 'desc' }
+      },
+      brands: { orderBy: { id: 'desc' } }
     }
   });
 
-  const FormData = require('form-data');
-  const ragForm = new FormData();
-  const docPath = path.join(UPLOAD_DIR, file.filename);
-  ragForm.append('rag_docs[]', fs.createReadStream(docPath), { filename: file.originalname });
-  ragForm.append('brandId', brandId);
+  res.render('workspace_view', {
+    user: req.session.user,
+    workspace,
+    roles: ROLES,
+    inviteBaseUrl: `${req.protocol}://${req.get('host')}/invitations/`,
+    apiTokens: can(req.workspaceRole, 'workspace:manage') ? await apiTokenList({ workspaceId: req.workspaceId }) : [],
+    scopes: API_SCOPES,
+    webhooks: can(req.workspaceRole, 'workspace:manage') ? await prisma.webhookSubscription.findMany({
+      where: { workspaceId: req.workspaceId },
+      include: { brand: true, deliveries: { orderBy: { createdAt: 'desc' }, take: 1 } },
+      orderBy: { createdAt: 'asc' }
+    }) : [],
+    webhookEvents: WEBHOOK_EVENTS,
+    ...flashWithToken(req)
+  });
+});
 
+app.post('/workspaces/:id/tokens', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
   try {
-    await axios.post(
-      process.env.N8N_UPLOAD_RAG_URL,
-      ragForm,
-      { headers: ragForm.getHeaders(), maxContentLength: Infinity, maxBodyLength: Infinity }
-    );
-    console.log(`✅ Документ ${file.originalname} отправлен в RAG для бренда ${brand.name}`);
+    const { record, token } = await createApiToken({
+      name: req.body.name,
+      scopes: req.body.scopes,
+      workspaceId: req.workspaceId,
+      role: req.body.role,
+      createdById: req.session.user.id,
+      expiresInDays: req.body.expiresInDays
+    });
+    await audit(req, 'api_token.create', { entityId: record.id, label: `${record.name} (${record.prefix}…)`, after: apiTokenAudit(record) });
+    req.flash('apiToken', token);
+    req.flash('success', 'Service token created');
   } catch (e) {
-    console.error('❌ Ошибка отправки документа в RAG:', e.message);
+    req.flash('error', 'Failed to create token: ' + e.message);
   }
+  res.redirect(`/workspaces/${req.workspaceId}#api-tokens`);
+});
 
-  req.flash('success','Document uploaded');
-  res.redirect('/brands/'+brandId);
+app.post('/workspaces/:id/tokens/:tokenId/revoke', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  const { count } = await revokeApiToken(req.params.tokenId, { workspaceId: req.workspaceId });
+  if (count) await audit(req, 'api_token.revoke', { entityId: parseInt(req.params.tokenId) });
+  req.flash('success', 'Service token revoked');
+  res.redirect(`/workspaces/${req.workspaceId}#api-tokens`);
 });
 
-app.post('/brands/:id/documents/deleteAll', ensureAuth, async (req, res) => {
-  const brandId = Number(req.params.id);
+async function workspaceWebhook(req) {
+  const webhook = await prisma.webhookSubscription.findFirst({
+    where: { id: parseInt(req.params.webhookId) || 0, workspaceId: req.workspaceId }
+  });
+  if (!webhook) throw new Error('Webhook not found');
+  return webhook;
+}
+
+const webhookPath = (req) => `/workspaces/${req.workspaceId}/webhooks/${parseInt(req.params.webhookId)}`;
 
+app.post('/workspaces/:id/webhooks', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
   try {
-    const docs = await prisma.brandDocument.findMany({ where: { brandId } });
+    const webhook = await createWebhook(req.workspaceId, req.body, req.session.user.id);
+    await audit(req, 'webhook.create', { entityId: webhook.id, label: webhook.url, brandId: webhook.brandId, after: webhook });
+    req.flash('success', 'Webhook added. Copy its signing secret to verify the payloads');
+    return res.redirect(`/workspaces/${req.workspaceId}/webhooks/${webhook.id}`);
+  } catch (e) {
+    req.flash('error', 'Failed to add webhook: ' + e.message);
+  }
+  res.redirect(`/workspaces/${req.workspaceId}#webhooks`);
+});
 
-    docs.forEach(d => {
-      const filePath = path.join(__dirname, 'uploads', d.filename);
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    });
+app.get('/workspaces/:id/webhooks/:webhookId', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  let webhook;
+  try {
+    webhook = await workspaceWebhook(req);
+  } catch (e) {
+    req.flash('error', e.message);
+    return res.redirect(`/workspaces/${req.workspaceId}#webhooks`);
+  }
 
-    await prisma.brandDocument.deleteMany({ where: { brandId } });
+  const [workspace, deliveries] = await Promise.all([
+    prisma.workspace.findUnique({ where: { id: req.workspaceId }, include: { brands: { orderBy: { name: 'asc' } } } }),
+    prisma.webhookDelivery.findMany({ where: { subscriptionId: webhook.id }, orderBy: { createdAt: 'desc' }, take: 50 })
+  ]);
 
-    try {
-      await axios.post(process.env.N8N_DELETE_RAG_URL, { brandId });
-      console.log(`✅ Все документы бренда ${brandId} удалены и отправлен запрос в n8n`);
-    } catch (e) {
-      console.error('❌ Ошибка отправки запроса в n8n после удаления документов:', e.message);
-    }
+  let secret = null;
+  try {
+    secret = webhookSecret(webhook);
+  } catch (e) {
+    console.error(`Webhook ${webhook.id} secret:`, e.message);
+  }
 
-    req.flash('success', 'All documents deleted');
-    res.redirect('/brands/' + brandId);
+  res.render('webhook_view', {
+    user: req.session.user,
+    workspace,
+    webhook,
+    secret,
+    deliveries,
+    events: WEBHOOK_EVENTS,
+    zone: displayZone(req.session.user),
+    messages: req.flash()
+  });
+});
 
-  } catch (err) {
-    console.error(err);
-    req.flash('error', 'Failed to delete documents');
-    res.redirect('/brands/' + brandId);
+app.post('/workspaces/:id/webhooks/:webhookId', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  try {
+    const webhook = await workspaceWebhook(req);
+    const data = { ...await parseWebhookForm(req.workspaceId, req.body), active: req.body.active === 'on' };
+    await prisma.webhookSubscription.update({ where: { id: webhook.id }, data });
+    await audit(req, 'webhook.update', { entityId: webhook.id, label: data.url, brandId: data.brandId, before: webhook, after: data });
+    req.flash('success', 'Webhook updated');
+  } catch (e) {
+    req.flash('error', 'Failed to update webhook: ' + e.message);
   }
+  res.redirect(webhookPath(req));
 });
 
-app.post('/brands/:id/delete', ensureAuth, async (req, res) => {
-  const brandId = Number(req.params.id);
+app.post('/workspaces/:id/webhooks/:webhookId/test', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  try {
+    const webhook = await workspaceWebhook(req);
+    const delivery = await pingWebhook(webhook);
+    await audit(req, 'webhook.test', { entityId: webhook.id, label: webhook.url, note: delivery.error || `HTTP ${delivery.httpStatus}` });
+    if (delivery.status === 'sent') req.flash('success', `Ping delivered (HTTP ${delivery.httpStatus})`);
+    else req.flash('error', `Ping failed: ${delivery.error}`);
+  } catch (e) {
+    req.flash('error', 'Failed to send ping: ' + e.message);
+  }
+  res.redirect(webhookPath(req));
+});
 
+// The old secret stops working at once, so receivers need the new one first.
+app.post('/workspaces/:id/webhooks/:webhookId/rotate-secret', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
   try {
-    const docs = await prisma.brandDocument.findMany({
-      where: { brandId }
-    });
+    const webhook = await workspaceWebhook(req);
+    await rotateWebhookSecret(webhook.id);
+    await audit(req, 'webhook.rotate_secret', { entityId: webhook.id, label: webhook.url, changes: [{ field: 'secret', before: REDACTED, after: REDACTED }] });
+    req.flash('success', 'Signing secret rotated');
+  } catch (e) {
+    req.flash('error', 'Failed to rotate secret: ' + e.message);
+  }
+  res.redirect(webhookPath(req));
+});
 
-    docs.forEach(d => {
-      const filePath = path.join(__dirname, 'uploads', d.filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-    });
+app.post('/workspaces/:id/webhooks/:webhookId/delete', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  const webhook = await prisma.webhookSubscription.findFirst({ where: { id: parseInt(req.params.webhookId) || 0, workspaceId: req.workspaceId } });
+  if (webhook) {
+    await prisma.webhookSubscription.delete({ where: { id: webhook.id } });
+    await audit(req, 'webhook.delete', { entityId: webhook.id, label: webhook.url, brandId: webhook.brandId, before: webhook });
+  }
+  req.flash('success', 'Webhook deleted');
+  res.redirect(`/workspaces/${req.workspaceId}#webhooks`);
+});
 
-    await prisma.brandDocument.deleteMany({
-      where: { brandId }
-    });
+app.post('/workspaces/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  try {
+    const webhook = await workspaceWebhook(req);
+    const delivery = await prisma.webhookDelivery.findFirst({ where: { id: parseInt(req.params.deliveryId) || 0, subscriptionId: webhook.id } });
+    if (!delivery) throw new Error('Delivery not found');
+    await redeliver(delivery.id);
+    await audit(req, 'webhook.redeliver', { entityId: webhook.id, label: webhook.url, note: `Delivery #${delivery.id} (${delivery.event})` });
+    req.flash('success', `Delivery #${delivery.id} queued again`);
+  } catch (e) {
+    req.flash('error', 'Failed to redeliver: ' + e.message);
+  }
+  res.redirect(webhookPath(req));
+});
 
-    await prisma.post.deleteMany({
-      where: { brandId }
-    });
+app.post('/workspaces/:id/invitations', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  const email = (req.body.email || '').trim().toLowerCase();
+  const role = req.body.role;
 
-    await prisma.brand.delete({
-      where: { id: brandId }
-    });
+  try {
+    if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new Error('Enter a valid email address');
+    if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
 
-    req.flash('success', 'Brand and all related files have been deleted');
-    res.redirect('/');
+    const existing = await prisma.workspaceMember.findFirst({
+      where: { workspaceId: req.workspaceId, user: { email } }
+    });
+    if (existing) throw new Error(`${email} is already a member`);
 
-  } catch (err) {
-    console.error('Delete brand error:', err);
-    req.flash('error', 'Failed to delete brand');
-    res.redirect('/brands/' + brandId);
+    const invitation = await prisma.invitation.create({
+      data: {
+        workspaceId: req.workspaceId,
+        email,
+        role,
+        token: crypto.randomBytes(24).toString('hex'),
+        invitedById: req.session.user.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+      }
+    });
+    await audit(req, 'invitation.create', { entityId: invitation.id, label: email, after: { email, role, expiresAt: invitation.expiresAt } });
+    req.flash('success', `Invitation for ${email} created`);
+  } catch (e) {
+    console.error('Invitation error:', e);
+    req.flash('error', 'Failed to invite: ' + e.message);
   }
+  res.redirect('/workspaces/' + req.workspaceId);
+});
+
+app.post('/workspaces/:id/invitations/:invitationId/revoke', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  const { count } = await prisma.invitation.updateMany({
+    where: { id: parseInt(req.params.invitationId), workspaceId: req.workspaceId, acceptedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (count) await audit(req, 'invitation.revoke', { entityId: parseInt(req.params.invitationId) });
+  req.flash('success', 'Invitation revoked');
+  res.redirect('/workspaces/' + req.workspaceId);
 });
 
+// A workspace must always keep at least one owner. Returns the member as it was.
+async function changeMember(workspaceId, memberId, role) {
+  return prisma.$transaction(async (tx) => {
+    const member = await tx.workspaceMember.findFirst({ where: { id: memberId, workspaceId }, include: { user: true } });
+    if (!member) throw new Error('Member not found');
 
-app.get('/brands/:id', ensureAuth, async (req, res) => {
-  const brandId = parseInt(req.params.id);
+    if (member.role === 'owner' && role !== 'owner') {
+      const owners = await tx.workspaceMember.count({ where: { workspaceId, role: 'owner' } });
+      if (owners <= 1) throw new Error('A workspace needs at least one owner');
+    }
 
-  const brand = await prisma.brand.findUnique({
-    where: { id: brandId }
+    if (role) await tx.workspaceMember.update({ where: { id: member.id }, data: { role } });
+    else await tx.workspaceMember.delete({ where: { id: member.id } });
+    return member;
   });
+}
 
-  if (!brand) {
-    req.flash('error', 'Brand not found');
-    return res.redirect('/');
+app.post('/workspaces/:id/members/:memberId/role', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  try {
+    if (!ROLES.includes(req.body.role)) throw new Error(`Unknown role "${req.body.role}"`);
+    const member = await changeMember(req.workspaceId, parseInt(req.params.memberId), req.body.role);
+    await audit(req, 'member.role', {
+      entityId: member.id,
+      label: member.user.email,
+      changes: member.role === req.body.role ? [] : [{ field: 'role', before: member.role, after: req.body.role }]
+    });
+    req.flash('success', 'Role updated');
+  } catch (e) {
+    req.flash('error', 'Failed to change role: ' + e.message);
   }
+  res.redirect('/workspaces/' + req.workspaceId);
+});
 
-  const docs = await prisma.brandDocument.findMany({
-    where: { brandId },
-    orderBy: { uploadedAt: 'desc' }
-  });
+app.post('/workspaces/:id/members/:memberId/remove', ensureAuth, workspaceAccess('workspace:manage'), async (req, res) => {
+  try {
+    const member = await changeMember(req.workspaceId, parseInt(req.params.memberId), null);
+    await audit(req, 'member.remove', { entityId: member.id, label: member.user.email, changes: [{ field: 'role', before: member.role, after: null }] });
+    req.flash('success', 'Member removed');
+  } catch (e) {
+    req.flash('error', 'Failed to remove member: ' + e.message);
+  }
+  res.redirect('/workspaces/' + req.workspaceId);
+});
 
-  const posts = await prisma.post.findMany({
-    where: { brandId },
-    orderBy: { createdAt: 'desc' }
-  });
+async function creatableWorkspaces(userId) {
+  const memberships = await getMemberships(userId);
+  return memberships.filter(m => can(m.role, 'brand:create')).map(m => m.workspace);
+}
 
-  res.render('brand_view', {
-    user: req.session.user,
-    brand,
-    docs,
-    posts,
-    messages: req.flash()
+// Takes the output of parseBrandForm.
+async function createBrand(workspaceId, { settings, credentials, metaTokens }) {
+  const brandData = { ...settings, workspaceId };
+  Object.keys(CREDENTIAL_FIELDS).forEach(platform => {
+    brandData[CREDENTIAL_FIELDS[platform]] = encryptCredentials(credentials[platform]);
   });
-});
 
+  const brand = await prisma.brand.create({ data: brandData });
 
-app.post('/brands/:id/rename', ensureAuth, async (req, res) => {
+  for (const provider of Object.keys(metaTokens)) {
+    await setBrandToken(brand.id, provider, metaTokens[provider]);
+    console.log(`🌐 Saved ${provider} token for brand ${brand.id}`);
+  }
+  return brand;
+}
+
+// The audit event of a new brand; credentials and tokens only show as set.
+function brandCreatedAudit(brand, { metaTokens }, workspaceId) {
+  const tokens = Object.keys(metaTokens).map(provider => ({ field: `${provider}Token`, before: null, after: REDACTED }));
+  return { entityId: brand.id, label: brand.name, workspaceId, brandId: brand.id, changes: [...auditChanges(null, brand), ...tokens] };
+}
+
+app.get('/brands/new', ensureAuth, async (req,res)=>{
+  const workspaces = await creatableWorkspaces(req.session.user.id);
+  if (!workspaces.length) {
+    req.flash('error', 'You need to be an owner or editor of a workspace to create brands');
+    return res.redirect('/');
+  }
+  res.render('brand_new', {
+    user: req.session.user,
+    workspaces,
+    selectedWorkspaceId: parseInt(req.query.workspace) || workspaces[0].id,
+    generators: Object.values(GENERATORS),
+    timezones: listTimezones(),
+    messages: req.flash()
+  });
+});
+app.post("/brands/new", ensureAuth, upload.none(), async (req, res) => {
+  try {
+    const workspaceId = parseInt(req.body.workspace_id);
+    const workspaces = await creatableWorkspaces(req.session.user.id);
+    if (!workspaces.some(w => w.id === workspaceId)) throw new Error('You cannot create brands in this workspace');
+
+    const form = parseBrandForm(req.body);
+    const brand = await createBrand(workspaceId, form);
+    await audit(req, 'brand.create', brandCreatedAudit(brand, form, workspaceId));
+
+    req.flash("success", "Brand created");
+    res.redirect("/");
+  } catch (e) {
+    console.error(e);
+    req.flash("error", "Failed to create brand: " + e.message);
+    res.redirect("/brands/new");
+  }
+});
+
+app.get('/brands/:id/edit', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+
+  if (!brand) {
+    req.flash('error', 'Brand not found');
+    return res.redirect('/');
+  }
+
+  const changes = await prisma.brandChange.findMany({
+    where: { brandId },
+    include: { user: true },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+
+  res.render('brand_edit', {
+    user: req.session.user,
+    brand,
+    changes,
+    generators: Object.values(GENERATORS),
+    timezones: listTimezones(),
+    messages: req.flash()
+  });
+});
+
+app.post('/brands/:id/edit', ensureAuth, brandAccess('brand:edit'), upload.none(), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+
+  try {
+    const existing = await prisma.brand.findUnique({ where: { id: brandId } });
+    if (!existing) throw new Error('Brand not found');
+
+    const { settings, credentials, metaTokens } = parseBrandForm(req.body, existing);
+    const changes = diffBrandSettings(existing, settings);
+
+    const data = { ...settings };
+    const removedProviders = [];
+    Object.keys(CREDENTIAL_FIELDS).forEach(platform => {
+      const field = CREDENTIAL_FIELDS[platform];
+      if (credentials[platform] !== undefined) {
+        data[field] = encryptCredentials(credentials[platform]);
+        changes.push({ field, before: existing[field] ? REDACTED : null, after: REDACTED });
+      } else if (req.body[`${platform}_remove`] && existing[field]) {
+        data[field] = null;
+        changes.push({ field, before: REDACTED, after: null });
+        if (META_PROVIDERS.includes(platform)) removedProviders.push(platform);
+      }
+    });
+    Object.keys(metaTokens).forEach(provider => {
+      if (!removedProviders.includes(provider)) changes.push({ field: `${provider}Token`, before: null, after: REDACTED });
+    });
+
+    await prisma.$transaction([
+      prisma.brand.update({ where: { id: brandId }, data }),
+      prisma.brandToken.deleteMany({ where: { brandId, provider: { in: removedProviders } } }),
+      prisma.brandChange.createMany({
+        data: changes.map(c => ({ ...c, brandId, userId: req.session.user.id }))
+      })
+    ]);
+
+    for (const provider of Object.keys(metaTokens)) {
+      if (removedProviders.includes(provider)) continue;
+      await setBrandToken(brandId, provider, metaTokens[provider]);
+    }
+    if (changes.length) await audit(req, 'brand.update', { entityId: brandId, label: data.name || existing.name, brandId, changes });
+
+    req.flash('success', changes.length ? 'Brand updated' : 'Nothing changed');
+    res.redirect('/brands/' + brandId);
+  } catch (e) {
+    console.error('Edit brand error:', e);
+    req.flash('error', 'Failed to update brand: ' + e.message);
+    res.redirect('/brands/' + brandId + '/edit');
+  }
+});
+
+async function addBrandDocument(brandId, file, userId) {
+  const media = await storeUpload(file, brandId, userId, ['document']);
+  const doc = await prisma.brandDocument.create({
+    data: {
+      brandId,
+      filename: media.storageKey,
+      originalName: file.originalname,
+      mime: media.mimeType,
+      mediaId: media.id
+    }
+  });
+
+  await enqueue('rag-upload', { documentId: doc.id });
+  return doc;
+}
+
+app.post('/brands/:id/documents', ensureAuth, brandAccess('brand:edit'), handleUpload(upload.single('document')), async (req,res)=>{
+  const brandId = parseInt(req.params.id);
+  const file = req.file;
+  if (!file) { req.flash('error','No file'); return res.redirect('/brands/'+brandId); }
+
+  const brand = await prisma.brand.findUnique({ where: { id: brandId }});
+  if (!brand) { req.flash('error','Brand not found'); return res.redirect('/'); }
+
+  try {
+    const doc = await addBrandDocument(brandId, file, req.session.user.id);
+    await audit(req, 'document.upload', { entityId: doc.id, label: doc.originalName, brandId, after: doc });
+    req.flash('success','Document uploaded, indexing queued');
+  } catch (e) {
+    console.error('Document upload error:', e);
+    req.flash('error', 'Failed to upload document: ' + e.message);
+  }
+  res.redirect('/brands/'+brandId);
+});
+
+// Run after the document rows are gone, so the library sees the files as unused.
+async function removeDocumentFiles(docs) {
+  for (const d of docs) {
+    if (d.mediaId) await deleteMediaIfUnused(d.mediaId);
+    else await driverFor('local').delete(path.basename(d.filename));
+  }
+}
+
+function brandDocument(req) {
+  return prisma.brandDocument.findFirst({ where: { id: parseInt(req.params.docId) || 0, brandId: parseInt(req.params.id) } });
+}
+
+// The document leaves our table right away; removing it from the RAG store is a
+// job so it is retried, and reconcile catches whatever still slips through.
+async function deleteBrandDocument(doc) {
+  await prisma.$transaction(async (tx) => {
+    await tx.brandDocument.delete({ where: { id: doc.id } });
+    await enqueue('rag-delete', { brandId: doc.brandId, documentId: doc.id, filename: doc.originalName }, { tx });
+  });
+  await removeDocumentFiles([doc]);
+}
+
+app.post('/brands/:id/documents/:docId/delete', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  try {
+    const doc = await brandDocument(req);
+    if (!doc) throw new Error('Document not found');
+    await deleteBrandDocument(doc);
+    await audit(req, 'document.delete', { entityId: doc.id, label: doc.originalName, brandId, before: doc });
+    req.flash('success', `Deleted ${doc.originalName}`);
+  } catch (e) {
+    console.error('Document delete error:', e);
+    req.flash('error', 'Failed to delete document: ' + e.message);
+  }
+  res.redirect('/brands/' + brandId + '#documents');
+});
+
+// Also the retry for documents whose indexing failed.
+app.post('/brands/:id/documents/:docId/reindex', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  try {
+    const doc = await brandDocument(req);
+    if (!doc) throw new Error('Document not found');
+    await prisma.$transaction(tx => queueIndexing(doc.id, tx));
+    await audit(req, 'document.reindex', { entityId: doc.id, label: doc.originalName, brandId });
+    req.flash('success', `${doc.originalName} queued for indexing`);
+  } catch (e) {
+    console.error('Document reindex error:', e);
+    req.flash('error', 'Failed to queue indexing: ' + e.message);
+  }
+  res.redirect('/brands/' + brandId + '#documents');
+});
+
+app.post('/brands/:id/documents/reconcile', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  try {
+    const r = await reconcileDocuments(brandId);
+    const notes = [];
+    if (r.indexed) notes.push(`${r.indexed} found and marked indexed`);
+    if (r.missing) notes.push(`${r.missing} missing from the RAG store`);
+    if (r.removed) notes.push(`${r.removed} deleted here queued for removal from the RAG store`);
+    if (r.unknown) notes.push(`${r.unknown} in the RAG store without a document id, left alone`);
+    await audit(req, 'document.reconcile', { brandId, note: notes.join(', ') || null });
+    req.flash('success', notes.length ? 'Reconciled: ' + notes.join(', ') : 'The RAG store matches the document list');
+  } catch (e) {
+    console.error('RAG reconcile error:', e);
+    req.flash('error', 'Failed to reconcile with the RAG store: ' + e.message);
+  }
+  res.redirect('/brands/' + brandId + '#documents');
+});
+
+app.post('/brands/:id/documents/deleteAll', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = Number(req.params.id);
+
+  try {
+    const docs = await prisma.brandDocument.findMany({ where: { brandId } });
+    await prisma.brandDocument.deleteMany({ where: { brandId } });
+    await removeDocumentFiles(docs);
+    await audit(req, 'document.delete_all', { brandId, note: documentsNote(docs) });
+
+    try {
+      await removeBrandDocuments(brandId);
+      console.log(`✅ Все документы бренда ${brandId} удалены и отправлен запрос в n8n`);
+    } catch (e) {
+      console.error('❌ Ошибка отправки запроса в n8n после удаления документов:', e.message);
+    }
+
+    req.flash('success', 'All documents deleted');
+    res.redirect('/brands/' + brandId);
+
+  } catch (err) {
+    console.error(err);
+    req.flash('error', 'Failed to delete documents');
+    res.redirect('/brands/' + brandId);
+  }
+});
+
+const documentsNote = (docs) => `${docs.length} document(s)` + (docs.length ? ': ' + docs.map(d => d.originalName).join(', ') : '');
+
+async function deleteBrand(brandId) {
+  const docs = await prisma.brandDocument.findMany({
+    where: { brandId }
+  });
+
+  await prisma.brandDocument.deleteMany({
+    where: { brandId }
+  });
+  await removeDocumentFiles(docs);
+  await deleteBrandMedia(brandId);
+
+  await prisma.post.deleteMany({
+    where: { brandId }
+  });
+
+  await prisma.brand.delete({
+    where: { id: brandId }
+  });
+}
+
+app.post('/brands/:id/delete', ensureAuth, brandAccess('brand:delete'), async (req, res) => {
+  const brandId = Number(req.params.id);
+
+  try {
+    const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+    await deleteBrand(brandId);
+    await audit(req, 'brand.delete', { entityId: brandId, label: brand.name, brandId, before: brand });
+
+    req.flash('success', 'Brand and all related files have been deleted');
+    res.redirect('/');
+
+  } catch (err) {
+    console.error('Delete brand error:', err);
+    req.flash('error', 'Failed to delete brand');
+    res.redirect('/brands/' + brandId);
+  }
+});
+
+
+app.get('/brands/:id', ensureAuth, brandAccess('brand:view'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+
+  const brand = await prisma.brand.findUnique({
+    where: { id: brandId }
+  });
+
+  if (!brand) {
+    req.flash('error', 'Brand not found');
+    return res.redirect('/');
+  }
+
+  const docs = await prisma.brandDocument.findMany({
+    where: { brandId },
+    orderBy: { uploadedAt: 'desc' }
+  });
+
+  const posts = await prisma.post.findMany({
+    where: { brandId },
+    include: {
+      deliveries: { orderBy: { startedAt: 'desc' } },
+      media: { include: { renditions: { where: { purpose: 'thumbnail' }, select: { id: true } } } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const tokens = await getBrandTokens(brandId);
+
+  const campaigns = await prisma.campaign.findMany({
+    where: { brandId },
+    include: { _count: { select: { posts: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const recurring = await prisma.recurringSchedule.findMany({
+    where: { brandId },
+    include: { _count: { select: { posts: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  res.render('brand_view', {
+    user: req.session.user,
+    brand,
+    docs: docs.map(d => ({ ...d, url: d.mediaId ? signedMediaUrl(d.mediaId) : null })),
+    posts: posts.map(p => ({ ...p, thumbUrl: mediaThumbUrl(p.media) })),
+    tokens,
+    campaigns,
+    recurring: recurring.map(r => ({ ...r, rule: describeRule(r) })),
+    targets: brandTargets(brand),
+    weekdays: WEEKDAYS,
+    zone: displayZone(req.session.user, brand),
+    messages: req.flash()
+  });
+});
+
+app.post('/brands/:id/recurring', ensureAuth, brandAccess('post:create'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+
+  try {
+    const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+    if (!brand) throw new Error('Brand not found');
+
+    const title = (req.body.title || '').trim();
+    if (!title) throw new Error('Title is required');
+
+    const [target] = parseTargets(brand, req.body.target);
+    if (!target) throw new Error('Select a platform and language');
+
+    const rule = parseRule(req.body, brand.timezone);
+    const schedule = await prisma.recurringSchedule.create({
+      data: {
+        brandId,
+        title,
+        body: sanitizeHtml(req.body.body || '') || null,
+        platform: target.platform,
+        language: target.language,
+        ...rule,
+        nextRunAt: nextOccurrence(rule),
+        createdById: req.session.user.id
+      }
+    });
+
+    await audit(req, 'recurring.create', { entityId: schedule.id, label: title, brandId, after: schedule });
+    req.flash('success', `Recurring post added, first one goes out ${formatInZone(schedule.nextRunAt, schedule.timezone)} (${schedule.timezone})`);
+  } catch (e) {
+    console.error('Create recurring post error:', e);
+    req.flash('error', 'Failed to add recurring post: ' + e.message);
+  }
+  res.redirect(`/brands/${brandId}#recurring`);
+});
+
+// Resuming starts again from the next slot after now; slots missed while paused are not made up.
+app.post('/brands/:id/recurring/:scheduleId/toggle', ensureAuth, brandAccess('post:create'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+
+  try {
+    const schedule = await prisma.recurringSchedule.findFirst({
+      where: { id: parseInt(req.params.scheduleId), brandId }
+    });
+    if (!schedule) throw new Error('Recurring post not found');
+
+    const data = schedule.active ? { active: false } : { active: true, nextRunAt: nextOccurrence(schedule) };
+    await prisma.recurringSchedule.update({ where: { id: schedule.id }, data });
+    await audit(req, schedule.active ? 'recurring.pause' : 'recurring.resume', {
+      entityId: schedule.id,
+      label: schedule.title,
+      brandId,
+      before: schedule,
+      after: data
+    });
+    req.flash('success', schedule.active ? 'Recurring post paused' : 'Recurring post resumed');
+  } catch (e) {
+    req.flash('error', 'Failed to update recurring post: ' + e.message);
+  }
+  res.redirect(`/brands/${brandId}#recurring`);
+});
+
+app.post('/brands/:id/recurring/:scheduleId/delete', ensureAuth, brandAccess('post:create'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+
+  try {
+    const schedule = await prisma.recurringSchedule.findFirst({
+      where: { id: parseInt(req.params.scheduleId), brandId }
+    });
+    if (!schedule) throw new Error('Recurring post not found');
+    await prisma.recurringSchedule.delete({ where: { id: schedule.id } });
+    await audit(req, 'recurring.delete', { entityId: schedule.id, label: schedule.title, brandId, before: schedule });
+    req.flash('success', 'Recurring post deleted. Posts it already created are kept.');
+  } catch (e) {
+    req.flash('error', 'Failed to delete recurring post: ' + e.message);
+  }
+  res.redirect(`/brands/${brandId}#recurring`);
+});
+
+app.post('/brands/:id/tokens/:provider', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const { provider } = req.params;
+  const token = (req.body.token || '').trim();
+
+  if (!META_PROVIDERS.includes(provider)) {
+    req.flash('error', 'Unknown token provider');
+    return res.redirect('/brands/' + brandId);
+  }
+  if (!token) {
+    req.flash('error', 'Token cannot be empty');
+    return res.redirect('/brands/' + brandId);
+  }
+
+  try {
+    const previous = await prisma.brandToken.findUnique({ where: { brandId_provider: { brandId, provider } } });
+    await setBrandToken(brandId, provider, token);
+    await audit(req, 'brand.token', {
+      entityId: brandId,
+      brandId,
+      changes: [{ field: `${provider}Token`, before: previous ? REDACTED : null, after: REDACTED }]
+    });
+    const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+    await refreshBrandToken(brand, provider);
+    req.flash('success', `${provider} token updated`);
+  } catch (err) {
+    console.error('Update token error:', err);
+    req.flash('error', 'Failed to update token');
+  }
+  res.redirect('/brands/' + brandId);
+});
+
+
+app.post('/brands/:id/credentials/:platform', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const { platform } = req.params;
+  const field = CREDENTIAL_FIELDS[platform];
+  const raw = (req.body.value || '').trim();
+
+  if (!field) {
+    req.flash('error', 'Unknown platform');
+    return res.redirect('/brands/' + brandId);
+  }
+
+  try {
+    const existing = await prisma.brand.findUnique({ where: { id: brandId } });
+    if (!existing) throw new Error('Brand not found');
+
+    let value = raw || null;
+    let metaToken = null;
+    if (value && !PLAIN_CREDENTIAL_PLATFORMS.includes(platform)) {
+      value = parseJsonSafe(value, platform);
+      if (META_PROVIDERS.includes(platform) && value && value.access_token) {
+        metaToken = value.access_token;
+        delete value.access_token;
+      }
+    }
+    if (value) validateCredentials(platform, value);
+
+    const change = { field, before: existing[field] ? REDACTED : null, after: value ? REDACTED : null };
+    await prisma.$transaction([
+      prisma.brand.update({
+        where: { id: brandId },
+        data: { [field]: encryptCredentials(value) }
+      }),
+      prisma.brandChange.create({
+        data: { ...change, brandId, userId: req.session.user.id }
+      })
+    ]);
+    await audit(req, 'brand.credentials', { entityId: brandId, label: existing.name, brandId, changes: [change] });
+
+    if (metaToken) await setBrandToken(brandId, platform, metaToken);
+    if (!value && META_PROVIDERS.includes(platform)) {
+      await prisma.brandToken.deleteMany({ where: { brandId, provider: platform } });
+    }
+
+    req.flash('success', value ? `${platform} credentials replaced` : `${platform} credentials removed`);
+  } catch (err) {
+    console.error('Replace credentials error:', err);
+    req.flash('error', 'Failed to replace credentials: ' + err.message);
+  }
+  res.redirect('/brands/' + brandId);
+});
+
+app.post('/brands/:id/rename', ensureAuth, brandAccess('brand:edit'), async (req, res) => {
   const brandId = parseInt(req.params.id);
   const { name } = req.body;
 
-  if (!name || !name.trim()) return res.json({ success: false, error: 'Name cannot be empty' });
+  if (!name || !name.trim()) return res.json({ success: false, error: 'Name cannot be empty' });
+
+  try {
+    const existing = await prisma.brand.findUnique({ where: { id: brandId } });
+    if (!existing) return res.json({ success: false, error: 'Brand not found' });
+
+    const changes = diffBrandSettings(existing, { name: name.trim() });
+    await prisma.$transaction([
+      prisma.brand.update({
+        where: { id: brandId },
+        data: { name: name.trim() }
+      }),
+      prisma.brandChange.createMany({
+        data: changes.map(c => ({ ...c, brandId, userId: req.session.user.id }))
+      })
+    ]);
+    if (changes.length) await audit(req, 'brand.rename', { entityId: brandId, label: name.trim(), brandId, changes });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Rename brand error:', err);
+    res.json({ success: false, error: 'Failed to rename brand' });
+  }
+});
+
+app.get('/brands/:id/media', ensureAuth, brandAccess('brand:view'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+  const items = await prisma.media.findMany({
+    where: { brandId },
+    include: {
+      createdBy: { select: { name: true, email: true } },
+      renditions: { where: { purpose: 'thumbnail' }, select: { id: true } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+  const usage = items.length ? await mediaUsage(items.map(m => m.id)) : {};
+
+  res.render('media_library', {
+    user: req.session.user,
+    brand,
+    items: items.map(m => ({ ...m, url: signedMediaUrl(m), thumbUrl: mediaThumbUrl(m), kind: mediaKind(m.mimeType), uses: usage[m.id] })),
+    formatSize,
+    zone: displayZone(req.session.user, brand),
+    messages: req.flash()
+  });
+});
+
+app.post('/brands/:id/media', ensureAuth, brandAccess('post:create'), handleUpload(upload.array('files', 20)), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const files = req.files || [];
+  if (!files.length) { req.flash('error', 'No file'); return res.redirect(`/brands/${brandId}/media`); }
+
+  let stored = 0;
+  const errors = [];
+  for (const file of files) {
+    try {
+      const media = await storeUpload(file, brandId, req.session.user.id, ['image', 'video']);
+      await audit(req, 'media.upload', { entityId: media.id, label: media.originalName, brandId, after: media });
+      stored++;
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+
+  if (stored) req.flash('success', `Added ${stored} file(s) to the library`);
+  if (errors.length) req.flash('error', 'Not added: ' + errors.join('; '));
+  res.redirect(`/brands/${brandId}/media`);
+});
+
+app.post('/brands/:id/media/:mediaId/delete', ensureAuth, brandAccess('post:create'), async (req, res) => {
+  const brandId = parseInt(req.params.id);
 
   try {
-    await prisma.brand.update({
-      where: { id: brandId },
-      data: { name: name.trim() }
-    });
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Rename brand error:', err);
-    res.json({ success: false, error: 'Failed to rename brand' });
+    const media = await prisma.media.findFirst({ where: { id: parseInt(req.params.mediaId), brandId } });
+    if (!media) throw new Error('Media not found');
+    if (!await deleteMediaIfUnused(media.id)) throw new Error('It is still used by a post, a version, a campaign or a document');
+    await audit(req, 'media.delete', { entityId: media.id, label: media.originalName, brandId, before: media });
+    req.flash('success', `Deleted ${media.originalName || 'file'}`);
+  } catch (e) {
+    console.error('Delete media error:', e);
+    req.flash('error', 'Failed to delete: ' + e.message);
   }
+  res.redirect(`/brands/${brandId}/media`);
 });
 
-app.get('/brands/:id/posts/new', ensureAuth, async (req,res)=>{
+// Audit details for an event about a post.
+const postAudit = (post, details = {}) => ({ entityId: post.id, label: post.title || null, brandId: post.brandId, ...details });
+
+// Approvals that do not reach the required count yet leave the status as it was.
+function auditTransition(req, post, action, result, note = null) {
+  const approvals = result.required ? `Approval ${result.approvals} of ${result.required}` : null;
+  return audit(req, `post.${action}`, postAudit(post, {
+    before: post,
+    after: { status: result.status },
+    note: [approvals, note].filter(Boolean).join('. ') || null
+  }));
+}
+
+app.get('/brands/:id/posts/new', ensureAuth, brandAccess('post:create'), async (req,res)=>{
   const brandId = parseInt(req.params.id);
   const brand = await prisma.brand.findUnique({ where: { id: brandId } });
-  res.render('post_new', { user: req.session.user, brand, messages: req.flash() });
+  res.render('post_new', {
+    user: req.session.user,
+    brand,
+    targets: brandTargets(brand),
+    library: await libraryItems(brandId),
+    zone: displayZone(req.session.user, brand),
+    messages: req.flash()
+  });
 });
 
 
-app.post('/brands/:id/posts/new', ensureAuth, upload.single('image'), async (req,res)=>{
+app.post('/brands/:id/posts/new', ensureAuth, brandAccess('post:create'), handleUpload(upload.array('images', 20)), async (req,res)=>{
   try {
     const brandId = parseInt(req.params.id);
     const { title, body, schedule_at, platform, language } = req.body;
@@ -433,24 +1347,28 @@ app.post('/brands/:id/posts/new', ensureAuth, upload.single('image'), async (req
     console.log('Выбранная платформа:', platform);
     console.log('Выбранный язык:', language);
 
-    const imagePath = req.file ? req.file.filename : null;
-    const scheduleAtDate = schedule_at ? new Date(schedule_at) : null;
-    const status = scheduleAtDate ? 'scheduled' : 'draft';
+    const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+    const media = await chosenMediaList(req, req.files, brandId, ['image', 'video']);
+    const scheduleAtDate = parseZonedInput(schedule_at, displayZone(req.session.user, brand));
     const createdById = req.session.user.id;
 
-    const post = await prisma.post.create({
-      data: {
-        brandId,
-        title: title || null,
-        body: sanitizeHtml(body || null),
-        imagePath,
-        platform,
-        language,
-        scheduleAt: scheduleAtDate,
-        status,
-        createdById
-      }
+    const post = await prisma.$transaction(async (tx) => {
+      const created = await tx.post.create({
+        data: {
+          brandId,
+          title: title || null,
+          body: sanitizeHtml(body || null),
+          platform,
+          language,
+          scheduleAt: scheduleAtDate,
+          status: 'draft',
+          createdById
+        }
+      });
+      await setPostMedia(tx, created.id, media);
+      return created;
     });
+    await audit(req, 'post.create', postAudit(post, { after: post }));
 
     req.flash('success','Post created/scheduled');
     res.redirect('/brands/'+brandId);
@@ -462,58 +1380,95 @@ app.post('/brands/:id/posts/new', ensureAuth, upload.single('image'), async (req
   }
 });
 
-async function generatePostPreview(postId) {
+// opts.regenerate sends the current draft and the reviewer's instruction along;
+// opts.field limits the update to a single field (a Post column name).
+async function generatePostPreview(postId, opts = {}) {
   const post = await prisma.post.findUnique({ where: { id: postId } });
-  const brand = await prisma.brand.findUnique({ where: { id: post.brandId }, include: { documents: true } });
+  const brand = await prisma.brand.findUnique({ where: { id: post.brandId } });
+
+  const current = await loadPostMedia(post);
+  const request = {
+    brand: { id: brand.id, name: brand.name, description: brand.description },
+    post: { title: post.title, body: post.body, platform: post.platform, language: post.language },
+    media: current.map(item => ({
+      buffer: item.buffer,
+      contentType: item.mimeType,
+      filename: item.filename,
+      altText: item.altText,
+      caption: item.caption
+    })),
+    regenerate: opts.regenerate ? {
+      instruction: opts.instruction || null,
+      field: Object.keys(REGENERATE_FIELDS).find(k => REGENERATE_FIELDS[k] === opts.field) || null,
+      current: {
+        title: post.title,
+        short_text: post.shortText,
+        long_text: post.longText,
+        caption: post.caption,
+        hashtags: post.hashtags || []
+      }
+    } : null
+  };
 
-  const FormData = require('form-data');
-  const webhook = process.env.N8N_GENERATE_WEBHOOK_URL;
-  const form = new FormData();
-  form.append('brandId', brand.id);
-  form.append('brand_name', brand.name);
-  form.append('brand_description', brand.description || '');
-  form.append('title', post.title || '');
-  form.append('body', post.body || '');
-  form.append('platform', post.platform || '');
-  form.append('language', post.language || '');
-
-  if (post.imagePath) {
-    const imgPath = path.join(UPLOAD_DIR, post.imagePath);
-    if (fs.existsSync(imgPath)) {
-      form.append('data', fs.createReadStream(imgPath), { filename: 'data', contentType: (post.platform === 'tiktok' ? 'video/mp4' : 'image/png') });
+  const preview = await generate(brand.generatorProvider, request);
+
+  // A generated image joins the brand's library like an upload and becomes the
+  // post's first item; one we cannot read or store is dropped and the post keeps
+  // its current media.
+  let generatedMedia = null;
+  if (preview.image) {
+    notifyGeneration(post, 'media');
+    try {
+      generatedMedia = await storeMedia({
+        brandId: brand.id,
+        buffer: Buffer.from(preview.image, 'base64'),
+        source: 'generated',
+        userId: opts.userId || null,
+        kinds: ['image', 'video']
+      });
+    } catch (e) {
+      console.error(`❌ Post ${postId}: generated image was not stored:`, e.message);
     }
   }
 
-  const axiosRes = await axios.post(webhook, form, {
-    headers: form.getHeaders(),
-    maxContentLength: Infinity,
-    maxBodyLength: Infinity
-  });
-
-  console.log(post.body);
+  let generated = {
+    title: preview.title || post.title || null,
+    body: post.body || null,
+    shortText: preview.short_text || null,
+    longText: preview.long_text || null,
+    caption: preview.caption || null,
+    hashtags: preview.hashtags,
+    mediaId: generatedMedia ? generatedMedia.id : post.mediaId
+  };
 
-  let preview = Array.isArray(axiosRes.data) ? axiosRes.data[0] : axiosRes.data;
+  if (opts.field) generated = { [opts.field]: generated[opts.field] };
 
-  await prisma.post.update({
-    where: { id: postId },
-    data: {
-      title: preview.title || post.title || null,
-      body: post.body || null,
-      shortText: preview.short_text || null,
-      longText: preview.long_text || null,
-      caption: preview.caption || null,
-      hashtags: preview.hashtags || [],
-      imagePath: preview.image || null
-    }
+  await prisma.$transaction(async (tx) => {
+    const variant = await createVariant(tx, post, generated, opts);
+    await tx.post.update({ where: { id: postId }, data: { ...generated, currentVariantId: variant.id } });
+    if ('mediaId' in generated) await setCoverMedia(tx, postId, generated.mediaId);
+    await recordRevisions(tx, post, generated, 'model', opts.userId);
   });
 
+  const { errors } = checkContent({ ...post, ...generated });
+  if (errors.length) console.warn(`⚠️ Post ${postId}: generated content does not fit ${post.platform}: ${errors.join('; ')}`);
+
   return preview;
 }
 
-app.get('/posts/:id/preview', ensureAuth, async (req, res) => {
+// Library media is linked through a signed URL. Images generated before the media
+// library are still inline base64 until scripts/import-media.js has moved them.
+function postMediaSrc(post) {
+  if (post.mediaId) return signedMediaUrl(post.mediaId);
+  if (!post.imagePath || post.imagePath.length < 256) return null;
+  const mime = post.platform === 'tiktok' ? 'video/mp4' : 'image/png';
+  return `data:${mime};base64,${post.imagePath}`;
+}
+
+app.get('/posts/:id/preview', ensureAuth, postAccess('post:view'), async (req, res) => {
   const postId = parseInt(req.params.id);
 
-  const post = await prisma.post.findUnique({ where: { id: postId } });
+  const post = await prisma.post.findUnique({ where: { id: postId }, include: { brand: true } });
 
   if (!post) {
     req.flash('error', 'Post not found');
@@ -521,9 +1476,25 @@ app.get('/posts/:id/preview', ensureAuth, async (req, res) => {
   }
 
   if (post.isGenerating) {
-    return res.render("loading_preview", { postId });
+    return res.render('loading_preview', { user: req.session.user, post, messages: req.flash() });
   }
 
+  const transitions = await prisma.postTransition.findMany({
+    where: { postId },
+    include: { user: { select: { name: true, email: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+  const comments = await prisma.postComment.findMany({
+    where: { postId, parentId: null },
+    include: {
+      user: { select: { name: true, email: true } },
+      replies: { include: { user: { select: { name: true, email: true } } }, orderBy: { createdAt: 'asc' } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+  const approvals = post.status === 'in_review' ? await approvalsInRound(prisma, postId) : [];
+  const selfApproval = post.status === 'in_review' ? await selfApprovalReason(prisma, post, req.session.user.id) : null;
+
   const preview = {
     title: post.title,
     body: post.longText || post.body,
@@ -531,167 +1502,897 @@ app.get('/posts/:id/preview', ensureAuth, async (req, res) => {
     longText: post.longText,
     caption: post.caption,
     hashtags: post.hashtags,
-    image: post.imagePath,
-    video: post.videoPath,
+    mediaSrc: postMediaSrc(post),
+  };
+
+  const mediaItems = (await postMediaItems(post)).map(item => ({
+    ...item,
+    kind: mediaKind(item.media.mimeType),
+    url: signedMediaUrl(item.media)
+  }));
+
+  const revisions = await prisma.postRevision.findMany({
+    where: { postId },
+    include: { user: { select: { name: true, email: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+  const history = {};
+  REVISION_FIELDS.forEach(field => { history[field] = revisions.filter(r => r.field === field); });
+
+  const variants = await prisma.postVariant.findMany({
+    where: { postId },
+    include: { createdBy: { select: { name: true, email: true } } },
+    orderBy: { version: 'desc' }
+  });
+
+  res.render("post_preview", {
+    post,
+    preview,
+    history,
+    variants: variants.map(v => ({ ...v, mediaSrc: postMediaSrc({ ...post, mediaId: v.mediaId, imagePath: v.imagePath }) })),
+    mediaItems,
+    mediaUrls: Object.fromEntries(history.mediaId.filter(r => r.value).map(r => [r.value, signedMediaUrl(parseInt(r.value))])),
+    library: EDITABLE_STATUSES.includes(post.status) ? await libraryItems(post.brandId, [post.platform === 'tiktok' ? 'video' : 'image']) : [],
+    regenerateFields: REGENERATE_FIELDS,
+    workflow: {
+      editable: EDITABLE_STATUSES.includes(post.status) && can(req.workspaceRole, 'post:edit'),
+      actions: availableActions(post, req.workspaceRole)
+        .filter(a => a !== 'approve' || (!selfApproval && !approvals.some(x => x.userId === req.session.user.id)))
+        .map(a => ({ action: a, ...TRANSITIONS[a] })),
+      approvals: approvals.length,
+      required: requiredApprovals(post.brand, post.platform),
+      hasSlots: hasChannelRules(post.brand, post.platform),
+      media: await checkPostMedia(post).catch(e => ({ problems: [e.message], changes: [] })),
+      content: checkContent(post),
+      transitions,
+      comments
+    },
+    platform: post.platform,
+    contentLimits: CONTENT_LIMITS[post.platform] || null,
+    brandId: post.brandId,
+    zone: displayZone(req.session.user, post.brand),
+    user: req.session.user,
+    messages: req.flash()
+  });
+});
+
+function assertEditable(post) {
+  if (post.isGenerating) throw new Error('Post is still being generated');
+  if (!EDITABLE_STATUSES.includes(post.status)) throw new Error(`Post is ${post.status.replace('_', ' ')} and cannot be edited`);
+}
+
+const postMediaKinds = (post) => [post.platform === 'tiktok' ? 'video' : 'image'];
+const cleanHashtags = (value) => parseHashtags(value).map(tag => sanitizeHtml(tag)).filter(tag => tag.length > 1);
+
+// A person's edit: changed fields get revisions, and the media list is replaced
+// when it differs (media undefined leaves it alone). Returns whether anything changed.
+async function updatePost(post, edits, media, userId) {
+  const listKey = (items) => JSON.stringify(items.map(m => [m.mediaId, m.altText || null, m.caption || null]));
+  const mediaChanged = Boolean(media) && listKey(media) !== listKey(await postMediaItems(post));
+  if (mediaChanged) edits = { ...edits, mediaId: media.length ? media[0].mediaId : null };
+
+  return prisma.$transaction(async (tx) => {
+    const fields = await recordRevisions(tx, post, edits, 'human', userId);
+    if (fields.length) await tx.post.update({ where: { id: post.id }, data: { ...edits, currentVariantId: null } });
+    if (mediaChanged) await setPostMedia(tx, post.id, media);
+    return { fields, mediaChanged };
+  });
+}
+
+app.post('/posts/:id', ensureAuth, postAccess('post:edit'), handleUpload(upload.array('images', 20)), async (req, res) => {
+  const postId = parseInt(req.params.id);
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id: postId } });
+    if (!post) {
+      req.flash('error', 'Post not found');
+      return res.redirect('/');
+    }
+    assertEditable(post);
+
+    const edits = {
+      title: cleanText(req.body.title),
+      shortText: cleanText(req.body.short_text),
+      longText: cleanText(req.body.long_text),
+      caption: cleanText(req.body.caption),
+      hashtags: cleanHashtags(req.body.hashtags),
+    };
+    const media = await chosenMediaList(req, req.files, post.brandId, postMediaKinds(post));
+    const { fields, mediaChanged } = await updatePost(post, edits, media, req.session.user.id);
+    if (fields.length || mediaChanged) {
+      await audit(req, 'post.update', postAudit(post, { before: post, after: edits, note: mediaChanged ? 'Media changed' : null }));
+    }
+
+    req.flash('success', fields.length || mediaChanged ? 'Post updated' : 'No changes');
+  } catch (e) {
+    console.error('Post update error:', e);
+    req.flash('error', 'Failed to update post: ' + e.message);
+  }
+  res.redirect(`/posts/${postId}/preview`);
+});
+
+// field is a generator field name (REGENERATE_FIELDS) or empty for the whole post.
+async function queueRegeneration(post, fieldName, instructionText, userId) {
+  if (post.isGenerating) throw new Error('Post is already being generated');
+  if (!EDITABLE_STATUSES.includes(post.status)) throw new Error(`Post is ${post.status.replace('_', ' ')} and cannot be edited`);
+
+  const field = fieldName ? REGENERATE_FIELDS[fieldName] : null;
+  if (fieldName && !field) throw new Error(`Unknown field "${fieldName}"`);
+
+  const instruction = sanitizeHtml(instructionText || '').trim() || null;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.post.update({ where: { id: post.id }, data: { isGenerating: true, lastError: null } });
+    await enqueue('generate-post', {
+      postId: post.id,
+      regenerate: true,
+      field,
+      instruction,
+      userId
+    }, { tx, maxAttempts: 3 });
+  });
+  await notifyPost(post, 'generate');
+}
+
+const regenerationNote = ({ field, instruction }) => [field ? `Field: ${field}` : 'Whole post', instruction].filter(Boolean).join('. ');
+
+app.post('/posts/:id/regenerate', ensureAuth, postAccess('post:edit', { json: true }), upload.none(), async (req, res) => {
+  const postId = parseInt(req.params.id);
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id: postId } });
+    if (!post) throw new Error('Post not found');
+    await queueRegeneration(post, req.body.field, req.body.instruction, req.session.user.id);
+    await audit(req, 'post.regenerate', postAudit(post, { note: regenerationNote(req.body) }));
+
+    res.json({ success: true, postId });
+  } catch (e) {
+    console.error('Regenerate error:', e);
+    res.json({ success: false, error: e.message });
+  }
+});
+
+app.post('/posts/:id/variants/:variantId/select', ensureAuth, postAccess('post:edit'), async (req, res) => {
+  const postId = parseInt(req.params.id);
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id: postId } });
+    if (!post) throw new Error('Post not found');
+    if (post.isGenerating) throw new Error('Post is still being generated');
+    if (!EDITABLE_STATUSES.includes(post.status)) throw new Error(`Post is ${post.status.replace('_', ' ')} and cannot be edited`);
+
+    const variant = await prisma.postVariant.findFirst({
+      where: { id: parseInt(req.params.variantId), postId }
+    });
+    if (!variant) throw new Error('Version not found');
+
+    const content = variantContent(variant);
+    await prisma.$transaction(async (tx) => {
+      await tx.post.update({ where: { id: postId }, data: { ...content, currentVariantId: variant.id } });
+      await setCoverMedia(tx, postId, content.mediaId);
+      await recordRevisions(tx, post, content, 'human', req.session.user.id);
+    });
+    await audit(req, 'post.select_version', postAudit(post, { before: post, after: content, note: `Version ${variant.version}` }));
+
+    req.flash('success', `Switched to version ${variant.version}`);
+  } catch (e) {
+    console.error('Select version error:', e);
+    req.flash('error', 'Failed to switch version: ' + e.message);
+  }
+  res.redirect(`/posts/${postId}/preview`);
+});
+
+const uploadFields = upload.fields([
+  { name: 'images', maxCount: 20 },
+  { name: 'tiktok_video', maxCount: 1 }
+]);
+
+
+// A new draft with its media; generate hands it to the generator right away.
+async function createPost(data, media, { generate = false } = {}) {
+  const post = await prisma.$transaction(async (tx) => {
+    const created = await tx.post.create({ data: { ...data, status: 'draft', isGenerating: generate } });
+    await setPostMedia(tx, created.id, media);
+    if (generate) await enqueue('generate-post', { postId: created.id }, { tx, maxAttempts: 3 });
+    return created;
+  });
+  await notifyPost(post, 'create');
+  return post;
+}
+
+app.post('/brands/:id/posts/generate', ensureAuth, brandAccess('post:create', { json: true }), handleUpload(uploadFields, { json: true }), async (req, res) => {
+  try {
+    const brandId = parseInt(req.params.id);
+    console.log(req.body);
+    const title = req.body.title || req.body.tiktok_title;
+    const body = req.body.body || req.body.tiktok_desc || '';
+    const platform = req.body.platform || (req.body.tiktok_title ? 'tiktok' : null);
+    const language = req.body.language || req.body.tiktok_language;
+
+    const isVideo = platform === 'tiktok';
+    const files = (isVideo ? req.files['tiktok_video'] : req.files['images']) || [];
+    const media = await chosenMediaList(req, files, brandId, [isVideo ? 'video' : 'image']);
+
+    const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+    const scheduleAt = parseZonedInput(req.body.schedule_at || req.body.tiktok_schedule_at, displayZone(req.session.user, brand));
+
+    const post = await createPost({
+      brandId,
+      title,
+      body,
+      platform,
+      language,
+      scheduleAt,
+      createdById: req.session.user.id
+    }, media, { generate: true });
+    await audit(req, 'post.create', postAudit(post, { after: post, note: 'Sent to the generator' }));
+
+    res.json({ success: true, postId: post.id });
+
+  } catch (e) {
+    console.error(e);
+    res.json({ success: false, error: e.message });
+  }
+});
+
+app.post('/brands/:id/campaigns', ensureAuth, brandAccess('post:create'), handleUpload(upload.array('images', 20)), async (req, res) => {
+  const brandId = parseInt(req.params.id);
+
+  try {
+    const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+    if (!brand) throw new Error('Brand not found');
+
+    const { title, body, schedule_at } = req.body;
+    if (!title || !title.trim()) throw new Error('Title is required');
+
+    const targets = parseTargets(brand, req.body.targets);
+    if (!targets.length) throw new Error('Select at least one platform and language');
+
+    const scheduleAt = parseZonedInput(schedule_at, displayZone(req.session.user, brand));
+    const media = await chosenMediaList(req, req.files, brandId, ['image']);
+    const mediaId = media.length ? media[0].mediaId : null;
+    const createdById = req.session.user.id;
+
+    const campaign = await prisma.$transaction(async (tx) => {
+      const created = await tx.campaign.create({
+        data: {
+          brandId,
+          title: title.trim(),
+          body: sanitizeHtml(body || ''),
+          mediaId,
+          scheduleAt,
+          createdById
+        }
+      });
+
+      for (const t of targets) {
+        const post = await tx.post.create({
+          data: {
+            brandId,
+            campaignId: created.id,
+            title: created.title,
+            body: created.body,
+            platform: t.platform,
+            language: t.language,
+            status: 'draft',
+            scheduleAt,
+            createdById,
+            isGenerating: true
+          }
+        });
+        await setPostMedia(tx, post.id, media);
+        await enqueue('generate-post', { postId: post.id }, { tx, maxAttempts: 3 });
+      }
+
+      return created;
+    });
+    await audit(req, 'campaign.create', {
+      entityId: campaign.id,
+      label: campaign.title,
+      brandId,
+      after: campaign,
+      note: `${targets.length} post(s): ${targets.map(t => `${t.platform}/${t.language}`).join(', ')}`
+    });
+
+    req.flash('success', `Campaign created: generating ${targets.length} post(s)`);
+    res.redirect('/campaigns/' + campaign.id);
+  } catch (e) {
+    console.error('Create campaign error:', e);
+    req.flash('error', 'Failed to create campaign: ' + e.message);
+    res.redirect(`/brands/${brandId}/posts/new`);
+  }
+});
+
+app.get('/campaigns/:id', ensureAuth, campaignAccess('post:view'), async (req, res) => {
+  const campaign = await prisma.campaign.findUnique({
+    where: { id: parseInt(req.params.id) },
+    include: { brand: true, posts: { orderBy: [{ platform: 'asc' }, { language: 'asc' }] } }
+  });
+
+  if (!campaign) {
+    req.flash('error', 'Campaign not found');
+    return res.redirect('/');
+  }
+
+  res.render('campaign_view', {
+    user: req.session.user,
+    campaign,
+    zone: displayZone(req.session.user, campaign.brand),
+    messages: req.flash()
+  });
+});
+
+app.post('/campaigns/:id/submit', ensureAuth, campaignAccess('post:edit'), async (req, res) => {
+  const campaignId = parseInt(req.params.id);
+
+  try {
+    const posts = await prisma.post.findMany({
+      where: { campaignId, isGenerating: false, status: { in: TRANSITIONS.submit.from } }
+    });
+
+    for (const post of posts) {
+      const result = await transition(post, 'submit', { userId: req.session.user.id });
+      await auditTransition(req, post, 'submit', result, `Campaign #${campaignId}`);
+    }
+    req.flash('success', `Submitted ${posts.length} post(s) for review`);
+  } catch (e) {
+    console.error('Submit campaign error:', e);
+    req.flash('error', 'Failed to submit campaign: ' + e.message);
+  }
+  res.redirect('/campaigns/' + campaignId);
+});
+
+app.post('/campaigns/:id/approve', ensureAuth, campaignAccess('post:approve'), async (req, res) => {
+  const campaignId = parseInt(req.params.id);
+
+  try {
+    const posts = await prisma.post.findMany({
+      where: { campaignId, isGenerating: false, status: 'in_review' }
+    });
+
+    let approved = 0;
+    const errors = [];
+    for (const post of posts) {
+      try {
+        const result = await transition(post, 'approve', { userId: req.session.user.id, nextSlot: Boolean(req.body.next_slot) });
+        await auditTransition(req, post, 'approve', result, `Campaign #${campaignId}`);
+        approved++;
+      } catch (e) {
+        errors.push(`#${post.id} (${post.platform}/${post.language}): ${e.message}`);
+      }
+    }
+
+    req.flash('success', `Approved ${approved} post(s)`);
+    if (errors.length) req.flash('error', 'Not approved: ' + errors.join('; '));
+  } catch (e) {
+    console.error('Approve campaign error:', e);
+    req.flash('error', 'Failed to approve campaign: ' + e.message);
+  }
+  res.redirect('/campaigns/' + campaignId);
+});
+
+function transitionMessage(post, result, zone) {
+  if (result.status === 'in_review' && result.required) {
+    return `Approval recorded (${result.approvals} of ${result.required})`;
+  }
+  if (result.status === 'scheduled') return `Пост запланирован на ${formatInZone(result.scheduleAt || post.scheduleAt, zone)} (${zone})`;
+  if (result.status === 'approved') return 'Пост отправлен на публикацию';
+  return `Post is now ${result.status.replace('_', ' ')}`;
+}
+
+// The role check happens per action against the workflow table, so the route
+// itself only requires access to the post.
+app.post('/posts/:id/transitions/:action', ensureAuth, postAccess('post:view'), async (req, res) => {
+  const postId = parseInt(req.params.id);
+  const action = req.params.action;
+
+  try {
+    const t = TRANSITIONS[action];
+    if (!t || !t.permission) throw new Error(`Unknown action "${action}"`);
+    if (!can(req.workspaceRole, t.permission)) throw new Error(`Your role (${req.workspaceRole}) does not allow this`);
+
+    const post = await prisma.post.findUnique({ where: { id: postId }, include: { brand: true } });
+    if (post.isGenerating) throw new Error('Post is still being generated');
+
+    const note = sanitizeHtml(req.body.note || '', { allowedTags: [], allowedAttributes: {} }).trim() || null;
+    const result = await transition(post, action, { userId: req.session.user.id, note });
+    await auditTransition(req, post, action, result, note);
+    req.flash('success', transitionMessage(post, result, displayZone(req.session.user, post.brand)));
+  } catch (e) {
+    console.error(`Post ${postId} ${action} error:`, e);
+    req.flash('error', e.message);
+  }
+  res.redirect(`/posts/${postId}/preview`);
+});
+
+app.post('/posts/:id/approve', ensureAuth, postAccess('post:approve'), async (req, res) => {
+  const postId = parseInt(req.params.id);
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id: postId }, include: { brand: true } });
+    if (!post) throw new Error('Post not found');
+
+    const result = await transition(post, 'approve', { userId: req.session.user.id, nextSlot: Boolean(req.body.next_slot) });
+    await auditTransition(req, post, 'approve', result);
+    req.flash('success', transitionMessage(post, result, displayZone(req.session.user, post.brand)));
+    res.redirect(post.campaignId ? `/campaigns/${post.campaignId}` : `/brands/${post.brandId}`);
+
+  } catch (e) {
+    console.error('Ошибка при публикации поста:', e);
+    req.flash('error', 'Не удалось опубликовать пост: ' + e.message);
+    res.redirect(`/posts/${postId}/preview`);
+  }
+});
+
+app.post('/posts/:id/comments', ensureAuth, postAccess('post:comment'), async (req, res) => {
+  const postId = parseInt(req.params.id);
+  const body = sanitizeHtml(req.body.body || '', { allowedTags: [], allowedAttributes: {} }).trim();
+
+  try {
+    if (!body) throw new Error('Comment cannot be empty');
+
+    // Replies always hang off the top-level comment, so threads stay one level deep.
+    let parentId = null;
+    if (req.body.parent_id) {
+      const parent = await prisma.postComment.findFirst({ where: { id: parseInt(req.body.parent_id), postId } });
+      if (!parent) throw new Error('Comment not found');
+      parentId = parent.parentId || parent.id;
+    }
+
+    const comment = await prisma.postComment.create({ data: { postId, userId: req.session.user.id, parentId, body }, include: { post: true } });
+    await audit(req, 'comment.create', { entityId: comment.id, label: comment.post.title || null, brandId: comment.post.brandId, note: body });
+    req.flash('success', 'Comment added');
+  } catch (e) {
+    req.flash('error', 'Failed to add comment: ' + e.message);
+  }
+  res.redirect(`/posts/${postId}/preview#comments`);
+});
+
+app.get('/reviews', ensureAuth, async (req, res) => {
+  const userId = req.session.user.id;
+  const memberships = await getMemberships(userId);
+  const workspaceIds = memberships.filter(m => can(m.role, 'post:approve')).map(m => m.workspaceId);
+
+  const posts = await prisma.post.findMany({
+    where: { status: 'in_review', brand: { workspaceId: { in: workspaceIds } } },
+    include: {
+      brand: true,
+      createdBy: { select: { name: true, email: true } },
+      transitions: { where: { action: 'submit' }, orderBy: { createdAt: 'desc' }, take: 1 }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const queue = [];
+  for (const post of posts) {
+    const approvals = await approvalsInRound(prisma, post.id);
+    if (approvals.some(a => a.userId === userId)) continue;
+    if (await selfApprovalReason(prisma, post, userId)) continue;
+    queue.push({
+      post,
+      submittedAt: post.transitions[0] ? post.transitions[0].createdAt : null,
+      approvals: approvals.length,
+      required: requiredApprovals(post.brand, post.platform)
+    });
+  }
+
+  res.render('review_queue', { user: req.session.user, queue, messages: req.flash() });
+});
+
+app.get('/problems', ensureAuth, async (req, res) => {
+  const memberships = await getMemberships(req.session.user.id);
+  const workspaceIds = memberships.filter(m => can(m.role, 'post:edit')).map(m => m.workspaceId);
+  const problems = await findProblems(workspaceIds);
+
+  res.render('problems', {
+    user: req.session.user,
+    problems: problems.map(p => ({ ...p, zone: displayZone(req.session.user, p.post.brand) })),
+    labels: PROBLEM_LABELS,
+    formatInZone,
+    messages: req.flash()
+  });
+});
+
+// Every action is logged in the post's history, next to its status changes.
+app.post('/posts/:id/problems/:action', ensureAuth, postAccess('post:edit'), async (req, res) => {
+  const postId = parseInt(req.params.id);
+  const action = req.params.action;
+  const userId = req.session.user.id;
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id: postId }, include: { brand: true } });
+    const zone = displayZone(req.session.user, post.brand);
+
+    switch (action) {
+      case 'retry_publish':
+        await retryPublish(post, userId);
+        await audit(req, 'post.retry_publish', postAudit(post, { note: post.lastError }));
+        req.flash('success', `"${post.title || 'Post'}" is being published again`);
+        break;
+      case 'retry_generation':
+        await retryGeneration(post, userId);
+        await audit(req, 'post.retry_generation', postAudit(post, { note: post.lastError }));
+        req.flash('success', `"${post.title || 'Post'}" is being generated again`);
+        break;
+      case 'cancel':
+        await cancelPending(post, userId);
+        await audit(req, 'post.cancel', postAudit(post));
+        req.flash('success', `Pending work for "${post.title || 'Post'}" was cancelled`);
+        break;
+      case 'reopen': {
+        if (post.isGenerating) throw new Error('Post is still being generated');
+        const result = await transition(post, 'reopen', { userId });
+        await auditTransition(req, post, 'reopen', result);
+        req.flash('success', transitionMessage(post, result, zone));
+        break;
+      }
+      case 'reschedule': {
+        const scheduleAt = parseZonedInput(req.body.schedule_at, zone);
+        const { status, warnings } = await reschedulePost(post, scheduleAt, userId);
+        await audit(req, 'post.reschedule', postAudit(post, { before: post, after: { scheduleAt, status } }));
+        req.flash('success', [`"${post.title || 'Post'}" moved to ${formatInZone(scheduleAt, zone)} (${status.replace('_', ' ')})`, ...warnings].join('. '));
+        break;
+      }
+      default:
+        throw new Error(`Unknown action "${action}"`);
+    }
+  } catch (e) {
+    console.error(`Post ${postId} ${action} error:`, e);
+    req.flash('error', e.message);
+  }
+  res.redirect('/problems');
+});
+
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_EXPORT_LIMIT = 50000;
+const AUDIT_FILTERS = ['brand', 'user', 'action', 'from', 'to'];
+
+// The audit log of the workspaces the user owns, filtered by the query string,
+// or null when they own none.
+async function auditQuery(req) {
+  const memberships = await getMemberships(req.session.user.id);
+  const workspaceIds = memberships.filter(m => can(m.role, 'audit:view')).map(m => m.workspaceId);
+  if (!workspaceIds.length) return null;
+
+  const filters = {};
+  AUDIT_FILTERS.forEach(f => { filters[f] = typeof req.query[f] === 'string' ? req.query[f].trim() : ''; });
+  const scope = auditScope(req.session.user.id, workspaceIds);
+  return { scope, filters, where: auditFilters(scope, filters, displayZone(req.session.user)) };
+}
+
+// Brands, users and actions that appear in the log; brands deleted since keep
+// their id.
+async function auditFilterOptions(scope) {
+  const [brandRows, users, actions] = await Promise.all([
+    prisma.auditEvent.findMany({ where: { AND: [scope, { brandId: { not: null } }] }, distinct: ['brandId'], select: { brandId: true } }),
+    prisma.auditEvent.findMany({ where: { AND: [scope, { userId: { not: null } }] }, distinct: ['userId'], select: { userId: true, actor: true }, orderBy: { userId: 'asc' } }),
+    prisma.auditEvent.findMany({ where: scope, distinct: ['action'], select: { action: true }, orderBy: { action: 'asc' } })
+  ]);
+  const brands = await prisma.brand.findMany({ where: { id: { in: brandRows.map(b => b.brandId) } }, select: { id: true, name: true } });
+  const brandName = (id) => (brands.find(b => b.id === id) || { name: `Deleted brand #${id}` }).name;
+
+  return {
+    brands: brandRows.map(b => ({ id: b.brandId, name: brandName(b.brandId) })).sort((a, b) => a.name.localeCompare(b.name)),
+    users: users.map(u => ({ id: u.userId, name: u.actor || `User #${u.userId}` })),
+    actions: actions.map(a => a.action)
   };
+}
+
+app.get('/audit', ensureAuth, async (req, res) => {
+  const query = await auditQuery(req);
+  if (!query) {
+    req.flash('error', 'Only workspace owners can see the audit log');
+    return res.redirect('/');
+  }
 
-  res.render("post_preview", {
-    post,
-    preview,
-    platform: post.platform,
-    brandId: post.brandId,
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const [events, total, options] = await Promise.all([
+    prisma.auditEvent.findMany({
+      where: query.where,
+      orderBy: { id: 'desc' },
+      skip: (page - 1) * AUDIT_PAGE_SIZE,
+      take: AUDIT_PAGE_SIZE
+    }),
+    prisma.auditEvent.count({ where: query.where }),
+    auditFilterOptions(query.scope)
+  ]);
+  const brandNames = Object.fromEntries(options.brands.map(b => [b.id, b.name]));
+
+  res.render('audit_log', {
     user: req.session.user,
+    events: events.map(e => ({ ...e, brandName: e.brandId ? brandNames[e.brandId] : null })),
+    total,
+    page,
+    pages: Math.max(Math.ceil(total / AUDIT_PAGE_SIZE), 1),
+    filters: query.filters,
+    options,
+    queryString: new URLSearchParams(query.filters).toString(),
+    exportLimit: AUDIT_EXPORT_LIMIT,
+    zone: displayZone(req.session.user),
+    formatInZone,
     messages: req.flash()
   });
 });
 
+app.get('/audit.csv', ensureAuth, async (req, res) => {
+  const query = await auditQuery(req);
+  if (!query) return res.status(403).send('Only workspace owners can export the audit log');
 
-const uploadFields = upload.fields([
-  { name: 'image', maxCount: 1 },
-  { name: 'tiktok_video', maxCount: 1 }
-]);
+  const events = await prisma.auditEvent.findMany({ where: query.where, orderBy: { id: 'asc' }, take: AUDIT_EXPORT_LIMIT });
+  await audit(req, 'audit.export', { entityType: 'audit', workspaceId: null, note: `${events.length} event(s), ${new URLSearchParams(query.filters)}` });
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.send(auditCsv(events));
+});
 
+app.get('/calendar', ensureAuth, async (req, res) => {
+  const memberships = await getMemberships(req.session.user.id);
+  const brands = await prisma.brand.findMany({
+    where: { workspaceId: { in: memberships.map(m => m.workspaceId) } },
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' }
+  });
 
-app.post('/brands/:id/posts/generate', ensureAuth, uploadFields, async (req, res) => {
-  try {
-    const brandId = parseInt(req.params.id);
-    console.log(req.body);
-    const title = req.body.title || req.body.tiktok_title;
-    const body = req.body.body || req.body.tiktok_desc || '';
-    const platform = req.body.platform || (req.body.tiktok_title ? 'tiktok' : null);
-    const language = req.body.language || req.body.tiktok_language;
+  res.render('calendar', {
+    user: req.session.user,
+    brands,
+    platforms: PLATFORM_LABELS,
+    statuses: STATUSES,
+    filters: {
+      brand: req.query.brand || '',
+      platform: req.query.platform || '',
+      status: req.query.status || '',
+      view: req.query.view === 'week' ? 'week' : 'month'
+    },
+    gapMinutes: minGapMinutes(),
+    zone: displayZone(req.session.user),
+    messages: req.flash()
+  });
+});
 
-    const imageFile = req.files['image']?.[0]?.filename;
-    const videoFile = req.files['tiktok_video']?.[0]?.filename;
+// Posts scheduled in [from, to) across every workspace the user belongs to. Posts a
+// little outside the range are loaded too, so conflicts at the edges still show.
+app.get('/calendar/posts', ensureAuth, async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+    const gapMs = minGapMinutes() * 60 * 1000;
 
-    const scheduleAt = req.body.schedule_at
-      ? new Date(req.body.schedule_at)
-      : req.body.tiktok_schedule_at
-      ? new Date(req.body.tiktok_schedule_at)
-      : null;
+    const memberships = await getMemberships(req.session.user.id);
+    const roles = {};
+    memberships.forEach(m => { roles[m.workspaceId] = m.role; });
 
-    const now = new Date();
-    const status = scheduleAt && scheduleAt > now ? 'scheduled' : 'draft';
+    const where = {
+      brand: { workspaceId: { in: memberships.map(m => m.workspaceId) } },
+      scheduleAt: { gte: new Date(from.getTime() - gapMs), lt: new Date(to.getTime() + gapMs) }
+    };
+    if (req.query.brand) where.brandId = parseInt(req.query.brand);
+    if (req.query.platform) where.platform = String(req.query.platform);
 
-    const post = await prisma.post.create({
-      data: {
-        brandId,
-        title,
-        body,
-        platform,
-        language,
-        status,
-        scheduleAt,
-        createdById: req.session.user.id,
-        imagePath: platform === 'tiktok' ? videoFile || null : imageFile || null,
-        isGenerating: true
-      }
+    const posts = await prisma.post.findMany({
+      where,
+      include: { brand: { select: { name: true, workspaceId: true } } },
+      orderBy: { scheduleAt: 'asc' }
     });
+    const conflicts = findConflicts(posts);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      gapMinutes: minGapMinutes(),
+      posts: posts
+        .filter(p => p.scheduleAt >= from && p.scheduleAt < to)
+        .filter(p => !req.query.status || p.status === req.query.status)
+        .map(p => ({
+          id: p.id,
+          title: p.title,
+          brandId: p.brandId,
+          brand: p.brand.name,
+          platform: p.platform,
+          language: p.language,
+          status: p.status,
+          scheduleAt: p.scheduleAt,
+          canReschedule: can(roles[p.brand.workspaceId], 'post:edit') && RESCHEDULABLE_STATUSES.includes(p.status) && !p.isGenerating,
+          warnings: (conflicts[p.id] || []).map(other => conflictWarning(p, other))
+        }))
+    });
+  } catch (e) {
+    console.error('Calendar error:', e);
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
 
-    (async () => {
-      try {
-        // let preview = {};
-
-        // if (platform === 'tiktok1') {
-        //   if (!videoFile) {
-        //     const resVideo = await axios.post(process.env.N8N_GENERATE_WEBHOOK_URL, {
-        //       title,
-        //       description: body,
-        //       language,
-        //       credentials: brand.tiktokCredentials || {}
-        //     }, { responseType: 'arraybuffer' });
-
-        //     const videoFileName = `tiktok_${post.id}_${Date.now()}.mp4`;
-        //     fs.writeFileSync(path.join(UPLOAD_DIR, videoFileName), resVideo.data);
-
-        //     await prisma.post.update({
-        //       where: { id: post.id },
-        //       data: { videoPath: videoFileName }
-        //     });
-        //   }
-        // } else {
-        await generatePostPreview(post.id);
-        // }
-
-        await prisma.post.update({
-          where: { id: post.id },
-          data: { isGenerating: false }
-        });
+// Returns the post's new status and warnings about posts that end up too close.
+async function reschedulePost(post, scheduleAt, userId) {
+  const result = await reschedule(post, scheduleAt, { userId });
+
+  const gapMs = minGapMinutes() * 60 * 1000;
+  const moved = { ...post, scheduleAt, status: result.status };
+  const neighbours = gapMs ? await prisma.post.findMany({
+    where: {
+      id: { not: post.id },
+      brandId: post.brandId,
+      platform: post.platform,
+      scheduleAt: { gt: new Date(scheduleAt.getTime() - gapMs), lt: new Date(scheduleAt.getTime() + gapMs) }
+    }
+  }) : [];
+  const warnings = (findConflicts([moved, ...neighbours])[post.id] || []).map(other => conflictWarning(moved, other));
 
-      } catch (err) {
-        console.error("Async generation failed:", err);
-        await prisma.post.update({
-          where: { id: post.id },
-          data: { isGenerating: false }
-        });
-      }
-    })();
+  console.log(`📅 Post ${post.id} moved to ${scheduleAt.toISOString()} (${result.status})`);
+  return { status: result.status, warnings };
+}
 
-    res.json({ success: true, postId: post.id });
+app.post('/posts/:id/schedule', ensureAuth, postAccess('post:edit', { json: true }), async (req, res) => {
+  const postId = parseInt(req.params.id);
 
+  try {
+    const post = await prisma.post.findUnique({ where: { id: postId } });
+    if (!post) throw new Error('Post not found');
+
+    const scheduleAt = new Date(req.body.schedule_at);
+    const { status, warnings } = await reschedulePost(post, scheduleAt, req.session.user.id);
+    await audit(req, 'post.reschedule', postAudit(post, { before: post, after: { scheduleAt, status } }));
+    res.json({ success: true, status, scheduleAt, warnings });
   } catch (e) {
-    console.error(e);
+    console.error('Reschedule error:', e);
     res.json({ success: false, error: e.message });
   }
 });
 
-app.post('/posts/:id/approve', ensureAuth, async (req, res) => {
-  const postId = parseInt(req.params.id);
+// Server-Sent Events for the brand page, and for one post on its own pages (lib/live.js).
+app.get('/brands/:id/events', ensureAuth, brandAccess('brand:view', { json: true }), (req, res) => {
+  streamEvents(req, res, parseInt(req.params.id));
+});
+
+app.get('/posts/:id/events', ensureAuth, postAccess('post:view', { json: true }), async (req, res) => {
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) } });
+  streamEvents(req, res, post.brandId, post);
+});
+
+async function loadPublishingCredentials(storedBrand) {
+  const brand = decryptBrandCredentials(storedBrand);
+
+  let igCredentials = brand.instagramCredentials ? { ...brand.instagramCredentials } : {};
+  let fbCredentials = brand.facebookCredentials ? { ...brand.facebookCredentials } : {};
 
   try {
-    const post = await prisma.post.findUnique({ where: { id: postId } });
-    if (!post) throw new Error('Post not found');
+    if (brand.instagramCredentials) {
+      const refreshedIg = await refreshBrandToken(storedBrand, 'instagram');
+      if (refreshedIg) igCredentials = refreshedIg;
+    }
+  } catch (e) {
+    console.error('Failed to refresh instagram token for brand', brand.id, e.message || e);
+  }
 
-    let newStatus;
-    console.log(post.scheduleAt, new Date(post.scheduleAt))
-    if (post.scheduleAt && new Date(post.scheduleAt) > new Date()) {
-      newStatus = 'scheduled';
-      console.log(newStatus);
-      req.flash('success', `Пост запланирован на ${new Date(post.scheduleAt).toLocaleString()}`);
-    } else {
-      newStatus = 'approved';
-      console.log(newStatus);
-      req.flash('success', 'Пост отправлен на публикацию');
+  try {
+    if (brand.facebookCredentials) {
+      const refreshedFb = await refreshBrandToken(storedBrand, 'facebook');
+      if (refreshedFb) fbCredentials = refreshedFb;
+    }
+  } catch (e) {
+    console.error('Failed to refresh facebook token for brand', brand.id, e.message || e);
+  }
+
+  return {
+    brand,
+    credentials: {
+      wordpress: brand.wordpressCredentials || {},
+      linkedin: brand.linkedinCredentials || {},
+      tiktok: brand.tiktokCredentials,
+      instagram: igCredentials,
+      facebook: fbCredentials
     }
+  };
+}
 
-    await prisma.post.update({
-      where: { id: postId },
-      data: { status: newStatus }
+// Posts created before the media library still carry their image in imagePath.
+async function adoptLegacyImage(post) {
+  if (post.mediaId || !post.imagePath) return;
+  try {
+    const media = await importLegacyImage(post.brandId, post.imagePath);
+    if (!media) return;
+    await prisma.$transaction(async (tx) => {
+      await tx.post.update({ where: { id: post.id }, data: { imagePath: null } });
+      await setCoverMedia(tx, post.id, media.id);
     });
+  } catch (e) {
+    console.warn(`Post ${post.id}: legacy image could not be imported:`, e.message);
+  }
+}
 
-    res.redirect(`/brands/${post.brandId}`);
+// Instagram and n8n fetch the files themselves, so each item gets an absolute signed link.
+function withPublicUrls(items) {
+  return items.map(item => ({
+    ...item,
+    url: process.env.PUBLIC_BASE_URL ? signedMediaUrl(item.media, { absolute: true, rendition: item.rendition }) : null
+  }));
+}
 
-    if (newStatus === 'approved') {
-      sendPostToN8N(postId)
-        .then(() => console.log(`✅ Фоновая публикация поста ${postId} завершена`))
-        .catch(err => console.error(`❌ Ошибка фоновой публикации ${postId}:`, err.message));
-    }
+// A failed attempt that the queue will retry only records its error: the post
+// stays publishing and subscribers hear post.publish_attempt_failed.
+async function publishAttemptFailed(postId, job, err) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post || post.status !== 'publishing') return;
+  const updated = await prisma.post.update({ where: { id: postId }, data: { lastError: err.message } });
+  await emitPostEvent(prisma, 'post.publish_attempt_failed', updated, {
+    error: err.message,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts
+  });
+  await notifyPost(post, 'publish');
+}
 
-  } catch (e) {
-    console.error('Ошибка при публикации поста:', e);
-    req.flash('error', 'Не удалось опубликовать пост: ' + e.message);
-    res.redirect('/');
+// The post fails, and post.failed is sent, only once publishing has given up: the
+// job is dead or n8n reported a failed delivery.
+async function failPublishing(postId, error, extra = {}) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return;
+  const failed = await systemTransition(postId, 'fail', { lastError: error });
+  if (failed && post.status !== 'failed') {
+    await emitPostEvent(prisma, 'post.failed', failed, { previousStatus: post.status, ...extra });
   }
-});
+}
+
+async function publishPost(postId) {
+  const post = await prisma.post.findUnique({ where: { id: postId }, include: { brand: true } });
+  if (!post) throw new Error('Post not found');
+  await adoptLegacyImage(post);
+
+  if (post.brand.publishMode === 'native' && hasNativeAdapter(post.platform)) {
+    return publishPostNatively(postId);
+  }
+  return sendPostToN8N(postId);
+}
+
+async function publishPostNatively(postId) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) throw new Error('Post not found');
+
+  if (!['approved', 'scheduled', 'publishing'].includes(post.status)) {
+    console.log(`Post ${postId} не одобрен, пропускаем отправку`);
+    return;
+  }
+
+  const storedBrand = await prisma.brand.findUnique({ where: { id: post.brandId } });
+  const { brand, credentials } = await loadPublishingCredentials(storedBrand);
 
-app.get("/posts/:id/status", async (req, res) => {
-  const post = await prisma.post.findUnique({
-    where: { id: parseInt(req.params.id) }
+  const delivery = await startDelivery(post, 'native', {
+    platform: post.platform,
+    title: post.title,
+    hasImage: Boolean(post.mediaId)
   });
 
-  res.json({ ready: !post.isGenerating });
-});
+  try {
+    const media = withPublicUrls(await loadPostMedia(post, { forPlatform: true }));
+    const result = await publishNative(post, brand, credentials, { media });
+
+    await finishDelivery(delivery.id, { status: 'sent', ...result });
+    await systemTransition(postId, 'send', { lastError: null });
+    console.log(`✅ Post ${postId} опубликован в ${post.platform}: ${result.url || result.remoteId}`);
+    return result;
+  } catch (e) {
+    console.error(`❌ Ошибка публикации поста ${postId} в ${post.platform}:`, e.message);
+    await finishDelivery(delivery.id, {
+      status: 'failed',
+      httpStatus: e.httpStatus,
+      response: e.responseData,
+      error: e.message
+    });
+    throw e;
+  }
+}
 
 async function sendPostToN8N(postId) {
   const post = await prisma.post.findUnique({ where: { id: postId } });
   if (!post) throw new Error('Post not found');
 
-  if (post.status !== 'approved' && post.status !== 'scheduled') {
+  if (!['approved', 'scheduled', 'publishing'].includes(post.status)) {
     console.log(`Post ${postId} не одобрен, пропускаем отправку`);
     return;
   }
 
-  const brand = await prisma.brand.findUnique({ where: { id: post.brandId }, include: { documents: true } });
+  const storedBrand = await prisma.brand.findUnique({ where: { id: post.brandId }, include: { documents: true } });
+  const { brand, credentials } = await loadPublishingCredentials(storedBrand);
 
   const FormData = require('form-data');
 
@@ -710,70 +2411,474 @@ async function sendPostToN8N(postId) {
   form.append("hashtags", (post.hashtags || []).join(" "));
   form.append("body", post.body || "");
   form.append("telegram", brand.telegramChannel || "null");
-  form.append("wordpress", JSON.stringify(brand.wordpressCredentials || {}));
-  form.append("linkedin", JSON.stringify(brand.linkedinCredentials || {}));
-  form.append("tiktok", brand.tiktokCredentials || "null");
-  form.append("image_base64", post.imagePath);
-
-  let igCredentials = brand.instagramCredentials ? { ...brand.instagramCredentials } : {};
-  let fbCredentials = brand.facebookCredentials ? { ...brand.facebookCredentials } : {};
-
-  try {
-    if (brand.instagramCredentials) {
-      const refreshedIg = await refreshBrandToken(brand, 'instagram');
-      if (refreshedIg) igCredentials = refreshedIg;
-    }
-  } catch (e) {
-    console.error('Failed to refresh instagram token for brand', brand.id, e.message || e);
-  }
-
-  try {
-    if (brand.facebookCredentials) {
-      const refreshedFb = await refreshBrandToken(brand, 'facebook');
-      if (refreshedFb) fbCredentials = refreshedFb;
-    }
-  } catch (e) {
-    console.error('Failed to refresh facebook token for brand', brand.id, e.message || e);
-  }
-
-  const globalTokenAfterRefresh = await getGlobalInstagramFacebookToken();
+  form.append("wordpress", JSON.stringify(credentials.wordpress));
+  form.append("linkedin", JSON.stringify(credentials.linkedin));
+  form.append("tiktok", credentials.tiktok || "null");
+
+  const media = withPublicUrls(await loadPostMedia(post, { forPlatform: true }));
+  form.append("media", JSON.stringify(media.map((item, position) => ({
+    position,
+    filename: item.filename,
+    mime_type: item.mimeType,
+    alt_text: item.altText || "",
+    caption: item.caption || "",
+    url: item.url,
+    base64: item.buffer.toString('base64')
+  }))));
+
+  const igCredentials = credentials.instagram;
+  const fbCredentials = credentials.facebook;
+  const metaToken = post.platform === 'facebook'
+    ? fbCredentials.access_token || igCredentials.access_token
+    : igCredentials.access_token || fbCredentials.access_token;
 
   form.append("instagram", JSON.stringify(igCredentials || {}));
   form.append("facebook", JSON.stringify(fbCredentials || {}));
-  form.append("instagramFacebook_token", globalTokenAfterRefresh || null);
+  form.append("instagramFacebook_token", metaToken || "null");
+
+  const delivery = await startDelivery(post, 'n8n', {
+    platform: post.platform,
+    title: post.title,
+    hasImage: Boolean(post.mediaId)
+  });
+  form.append("delivery_id", String(delivery.id));
+  if (process.env.PUBLIC_BASE_URL) {
+    form.append("callback_url", `${process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')}/webhooks/n8n/deliveries/${delivery.id}`);
+  }
 
   try {
-    await axios.post(process.env.N8N_WEBHOOK_TO_POST_URL, form, {
+    // The worker runs one job at a time, so a hung n8n must not hold it for long.
+    const r = await axios.post(process.env.N8N_WEBHOOK_TO_POST_URL, form, {
       headers: form.getHeaders(),
       maxContentLength: Infinity,
-      maxBodyLength: Infinity
+      maxBodyLength: Infinity,
+      timeout: 60000
     });
 
-    await prisma.post.update({ where: { id: postId }, data: { status: 'sent' } });
+    const reported = (Array.isArray(r.data) ? r.data[0] : r.data) || {};
+    await finishDelivery(delivery.id, {
+      status: reported.permalink || reported.remote_id ? 'sent' : 'accepted',
+      remoteId: reported.remote_id,
+      url: reported.permalink,
+      httpStatus: r.status,
+      response: r.data
+    });
+    await systemTransition(postId, 'send');
     console.log(`✅ Post ${postId} успешно отправлен на n8n`);
   } catch (e) {
     console.error(`❌ Ошибка отправки поста ${postId} на n8n:`, e.message);
-    await prisma.post.update({ where: { id: postId }, data: { status: 'failed', lastError: e.message } });
+    await finishDelivery(delivery.id, {
+      status: 'failed',
+      httpStatus: e.response && e.response.status,
+      response: e.response && e.response.data,
+      error: e.message
+    });
     throw e;
   }
 }
 
-setInterval(async ()=>{
+app.post('/webhooks/n8n/deliveries/:id', async (req, res) => {
+  const secret = process.env.N8N_CALLBACK_SECRET;
+  if (!secret || !safeEqual(req.get('X-Callback-Secret') || '', secret)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const deliveryId = parseInt(req.params.id);
+  const delivery = await prisma.postDelivery.findUnique({ where: { id: deliveryId } });
+  if (!delivery) return res.status(404).json({ success: false, error: 'Delivery not found' });
+
+  const { status, remote_id, permalink, http_status, error } = req.body;
+  const failed = status === 'failed';
+
   try {
-    const posts = await prisma.post.findMany({
-      where: { status: 'scheduled', scheduleAt: { lte: new Date() } }
+    await finishDelivery(deliveryId, {
+      status: failed ? 'failed' : 'sent',
+      remoteId: remote_id ? String(remote_id) : null,
+      url: permalink,
+      httpStatus: http_status ? Number(http_status) : delivery.httpStatus,
+      response: req.body,
+      error: failed ? (error || 'n8n reported a failure') : null
     });
-    for (const p of posts) {
-      try {
-        await sendPostToN8N(p.id);
-      } catch(e){
-        console.error('Error sending scheduled post', p.id, e.message);
-      }
+
+    if (failed) {
+      await failPublishing(delivery.postId, error || 'n8n reported a failure', { deliveryId });
+    } else {
+      await systemTransition(delivery.postId, 'send', { lastError: null });
     }
-  } catch(e){
-    console.error('Scheduler error', e);
+    const post = await prisma.post.findUnique({ where: { id: delivery.postId }, include: { brand: { select: { workspaceId: true } } } });
+    if (post) {
+      await audit(req, failed ? 'post.fail' : 'post.send', postAudit(post, {
+        workspaceId: post.brand.workspaceId,
+        by: { userId: null, actor: 'n8n', apiTokenId: null },
+        note: `Delivery #${deliveryId}` + (failed ? `: ${error || 'n8n reported a failure'}` : '')
+      }));
+    }
+
+    console.log(`📬 n8n callback for delivery ${deliveryId}: ${failed ? 'failed' : 'sent'}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('n8n callback error:', err);
+    res.status(500).json({ success: false, error: 'Failed to record delivery' });
+  }
+});
+
+// REST API v1: JSON in and out, authenticated with API tokens (lib/api.js) and
+// described by /api/v1/openapi.json. Every route checks a token scope and then
+// the same role permission as the matching page.
+const api = express.Router();
+const apiBrand = (scope, permission) => [requireScope(scope), brandAccess(permission, { api: true })];
+const apiPost = (scope, permission) => [requireScope(scope), postAccess(permission, { api: true })];
+const apiPage = (req) => ({ take: Math.min(parseInt(req.query.limit) || 50, 100), skip: Math.max(parseInt(req.query.offset) || 0, 0) });
+const postMediaInclude = { mediaItems: { include: { media: true }, orderBy: { position: 'asc' } } };
+
+async function apiPostData(postId) {
+  const post = await prisma.post.findUnique({ where: { id: postId }, include: postMediaInclude });
+  return postJson(post, post.mediaItems);
+}
+
+// [{ mediaId, altText, caption }] of media already in the brand's library.
+async function apiMediaList(brandId, list, kinds) {
+  if (!Array.isArray(list)) throw apiError(400, '"media" must be an array of { mediaId, altText, caption }');
+  const items = [];
+  for (const item of list) {
+    const media = await libraryMedia(brandId, item && item.mediaId, kinds);
+    items.push({ mediaId: media.id, altText: cleanText(item.altText), caption: cleanText(item.caption) });
+  }
+  return items;
+}
+
+function apiDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw apiError(400, `"${field}" must be an ISO 8601 date-time`);
+  return date;
+}
+
+api.get('/openapi.json', (req, res) => res.json(openApiSpec()));
+api.use(apiAuth);
+
+api.get('/brands', requireScope('brands:read'), apiHandler(async (req, res) => {
+  const token = req.apiToken;
+  const workspaceIds = token.workspaceId
+    ? [token.workspaceId]
+    : (await getMemberships(token.userId)).filter(m => can(m.role, 'brand:view')).map(m => m.workspaceId);
+  const brands = await prisma.brand.findMany({ where: { workspaceId: { in: workspaceIds } }, orderBy: { id: 'asc' } });
+  res.json({ data: brands.map(brandJson) });
+}));
+
+// Service tokens create brands in their own workspace; personal tokens name one.
+api.post('/brands', requireScope('brands:write'),
+  authorize('brand:create', async (req) => parseInt(req.body.workspaceId) || req.apiToken.workspaceId, { api: true }),
+  apiHandler(async (req, res) => {
+    const form = parseBrandForm(brandFormFromJson(req.body));
+    const brand = await createBrand(req.workspaceId, form);
+    await audit(req, 'brand.create', brandCreatedAudit(brand, form, req.workspaceId));
+    res.status(201).json({ data: brandJson(brand) });
+  }));
+
+api.get('/brands/:id', apiBrand('brands:read', 'brand:view'), apiHandler(async (req, res) => {
+  res.json({ data: brandJson(await prisma.brand.findUnique({ where: { id: parseInt(req.params.id) } })) });
+}));
+
+api.patch('/brands/:id', apiBrand('brands:write', 'brand:edit'), apiHandler(async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const existing = await prisma.brand.findUnique({ where: { id: brandId } });
+  const { settings } = parseBrandForm(brandFormFromJson(req.body, existing), existing);
+  const changes = diffBrandSettings(existing, settings);
+
+  const [brand] = await prisma.$transaction([
+    prisma.brand.update({ where: { id: brandId }, data: settings }),
+    prisma.brandChange.createMany({ data: changes.map(c => ({ ...c, brandId, userId: apiUserId(req) })) })
+  ]);
+  if (changes.length) await audit(req, 'brand.update', { entityId: brandId, label: brand.name, brandId, changes });
+  res.json({ data: brandJson(brand) });
+}));
+
+api.delete('/brands/:id', apiBrand('brands:write', 'brand:delete'), apiHandler(async (req, res) => {
+  const brand = await prisma.brand.findUnique({ where: { id: parseInt(req.params.id) } });
+  await deleteBrand(brand.id);
+  await audit(req, 'brand.delete', { entityId: brand.id, label: brand.name, brandId: brand.id, before: brand });
+  res.status(204).end();
+}));
+
+api.get('/brands/:id/documents', apiBrand('documents:read', 'brand:view'), apiHandler(async (req, res) => {
+  const docs = await prisma.brandDocument.findMany({ where: { brandId: parseInt(req.params.id) }, orderBy: { uploadedAt: 'desc' } });
+  res.json({ data: docs.map(documentJson) });
+}));
+
+api.post('/brands/:id/documents', apiBrand('documents:write', 'brand:edit'), upload.single('document'), apiHandler(async (req, res) => {
+  if (!req.file) throw apiError(400, 'Send the file as multipart field "document"');
+  const doc = await addBrandDocument(parseInt(req.params.id), req.file, apiUserId(req));
+  await audit(req, 'document.upload', { entityId: doc.id, label: doc.originalName, brandId: doc.brandId, after: doc });
+  res.status(201).json({ data: documentJson(doc) });
+}));
+
+api.post('/brands/:id/documents/reconcile', apiBrand('documents:write', 'brand:edit'), apiHandler(async (req, res) => {
+  const result = await reconcileDocuments(parseInt(req.params.id));
+  await audit(req, 'document.reconcile', { brandId: parseInt(req.params.id), note: JSON.stringify(result) });
+  res.json({ data: result });
+}));
+
+api.post('/brands/:id/documents/:docId/reindex', apiBrand('documents:write', 'brand:edit'), apiHandler(async (req, res) => {
+  const doc = await brandDocument(req);
+  if (!doc) throw apiError(404, 'Document not found');
+  await prisma.$transaction(tx => queueIndexing(doc.id, tx));
+  await audit(req, 'document.reindex', { entityId: doc.id, label: doc.originalName, brandId: doc.brandId });
+  res.status(202).json({ data: documentJson(await prisma.brandDocument.findUnique({ where: { id: doc.id } })) });
+}));
+
+api.delete('/brands/:id/documents/:docId', apiBrand('documents:write', 'brand:edit'), apiHandler(async (req, res) => {
+  const doc = await brandDocument(req);
+  if (!doc) throw apiError(404, 'Document not found');
+  await deleteBrandDocument(doc);
+  await audit(req, 'document.delete', { entityId: doc.id, label: doc.originalName, brandId: doc.brandId, before: doc });
+  res.status(204).end();
+}));
+
+api.get('/brands/:id/media', apiBrand('posts:read', 'brand:view'), apiHandler(async (req, res) => {
+  const kinds = req.query.kind ? [String(req.query.kind)] : ['image', 'video'];
+  const media = await prisma.media.findMany({
+    where: { brandId: parseInt(req.params.id), OR: kinds.map(kind => ({ mimeType: { startsWith: kind + '/' } })) },
+    orderBy: { createdAt: 'desc' },
+    ...apiPage(req)
+  });
+  res.json({ data: media.map(mediaJson) });
+}));
+
+api.post('/brands/:id/media', apiBrand('posts:write', 'post:create'), upload.array('files', 20), apiHandler(async (req, res) => {
+  if (!req.files || !req.files.length) throw apiError(400, 'Send the files as multipart field "files"');
+  const stored = [];
+  for (const file of req.files) {
+    const media = await storeUpload(file, parseInt(req.params.id), apiUserId(req), ['image', 'video']);
+    await audit(req, 'media.upload', { entityId: media.id, label: media.originalName, brandId: media.brandId, after: media });
+    stored.push(media);
+  }
+  res.status(201).json({ data: stored.map(mediaJson) });
+}));
+
+api.get('/brands/:id/posts', apiBrand('posts:read', 'post:view'), apiHandler(async (req, res) => {
+  const where = { brandId: parseInt(req.params.id) };
+  if (req.query.status) where.status = String(req.query.status);
+  if (req.query.platform) where.platform = String(req.query.platform);
+  const posts = await prisma.post.findMany({ where, include: postMediaInclude, orderBy: { createdAt: 'desc' }, ...apiPage(req) });
+  res.json({ data: posts.map(p => postJson(p, p.mediaItems)) });
+}));
+
+// With "generate": true the generator writes the content (202, poll the post until
+// isGenerating is false); otherwise the given content is saved as a draft.
+api.post('/brands/:id/posts', apiBrand('posts:write', 'post:create'), apiHandler(async (req, res) => {
+  const brandId = parseInt(req.params.id);
+  const b = req.body;
+  if (!PLATFORM_LABELS[b.platform]) throw apiError(400, `"platform" must be one of ${Object.keys(PLATFORM_LABELS).join(', ')}`);
+
+  const generate = b.generate === true;
+  const data = {
+    brandId,
+    platform: b.platform,
+    language: cleanText(b.language),
+    title: cleanText(b.title),
+    body: cleanText(b.body),
+    scheduleAt: apiDate(b.scheduleAt, 'scheduleAt'),
+    createdById: apiUserId(req)
+  };
+  if (!generate) {
+    Object.assign(data, {
+      shortText: cleanText(b.shortText),
+      longText: cleanText(b.longText),
+      caption: cleanText(b.caption),
+      hashtags: cleanHashtags(b.hashtags)
+    });
+  }
+  const media = await apiMediaList(brandId, b.media || [], postMediaKinds(data));
+  const post = await createPost(data, media, { generate });
+  await audit(req, 'post.create', postAudit(post, { after: post, note: generate ? 'Sent to the generator' : null }));
+  res.status(generate ? 202 : 201).json({ data: await apiPostData(post.id) });
+}));
+
+api.get('/posts/:id', apiPost('posts:read', 'post:view'), apiHandler(async (req, res) => {
+  res.json({ data: await apiPostData(parseInt(req.params.id)) });
+}));
+
+api.patch('/posts/:id', apiPost('posts:write', 'post:edit'), apiHandler(async (req, res) => {
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) } });
+  assertEditable(post);
+
+  const edits = {};
+  [['title', 'title'], ['shortText', 'shortText'], ['longText', 'longText'], ['caption', 'caption']].forEach(([key, field]) => {
+    if (key in req.body) edits[field] = cleanText(req.body[key]);
+  });
+  if ('hashtags' in req.body) edits.hashtags = cleanHashtags(req.body.hashtags);
+  const media = 'media' in req.body ? await apiMediaList(post.brandId, req.body.media, postMediaKinds(post)) : undefined;
+
+  const { fields, mediaChanged } = await updatePost(post, edits, media, apiUserId(req));
+  if (fields.length || mediaChanged) {
+    await audit(req, 'post.update', postAudit(post, { before: post, after: edits, note: mediaChanged ? 'Media changed' : null }));
+  }
+  res.json({ data: await apiPostData(post.id) });
+}));
+
+api.delete('/posts/:id', apiPost('posts:write', 'post:edit'), apiHandler(async (req, res) => {
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) } });
+  if (['publishing', 'sent'].includes(post.status)) throw apiError(409, `Post is ${post.status} and stays in the history`);
+  await prisma.post.delete({ where: { id: post.id } });
+  await audit(req, 'post.delete', postAudit(post, { before: post }));
+  res.status(204).end();
+}));
+
+api.post('/posts/:id/generate', apiPost('posts:write', 'post:edit'), apiHandler(async (req, res) => {
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) } });
+  await queueRegeneration(post, req.body.field, req.body.instruction, apiUserId(req));
+  await audit(req, 'post.regenerate', postAudit(post, { note: regenerationNote(req.body) }));
+  res.status(202).json({ data: await apiPostData(post.id) });
+}));
+
+// submit, withdraw, request_changes and reopen; approve has its own route.
+api.post('/posts/:id/transitions/:action', apiPost('posts:publish', 'post:view'), apiHandler(async (req, res) => {
+  const action = req.params.action;
+  const t = TRANSITIONS[action];
+  if (!t || !t.permission || action === 'approve') throw apiError(404, `Unknown action "${action}"`);
+  if (!can(req.workspaceRole, t.permission)) throw apiError(403, `Your role (${req.workspaceRole}) does not allow this`);
+
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) }, include: { brand: true } });
+  if (post.isGenerating) throw apiError(409, 'Post is still being generated');
+  const note = sanitizeHtml(req.body.note || '', { allowedTags: [], allowedAttributes: {} }).trim() || null;
+  const result = await transition(post, action, { userId: apiUserId(req), note });
+  await auditTransition(req, post, action, result, note);
+  res.json({ data: await apiPostData(post.id) });
+}));
+
+// Approvals are signed off by a person, so service tokens cannot approve.
+api.post('/posts/:id/approve', apiPost('posts:publish', 'post:approve'), apiHandler(async (req, res) => {
+  if (!apiUserId(req)) throw apiError(403, 'Approvals need a personal API token');
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) }, include: { brand: true } });
+  const result = await transition(post, 'approve', { userId: apiUserId(req), nextSlot: req.body.nextSlot === true });
+  await auditTransition(req, post, 'approve', result);
+  res.json({ data: await apiPostData(post.id), approvals: result.approvals || null, required: result.required || null });
+}));
+
+api.post('/posts/:id/schedule', apiPost('posts:publish', 'post:edit'), apiHandler(async (req, res) => {
+  const post = await prisma.post.findUnique({ where: { id: parseInt(req.params.id) } });
+  const scheduleAt = apiDate(req.body.scheduleAt, 'scheduleAt');
+  if (!scheduleAt) throw apiError(400, '"scheduleAt" is required');
+  const { status, warnings } = await reschedulePost(post, scheduleAt, apiUserId(req));
+  await audit(req, 'post.reschedule', postAudit(post, { before: post, after: { scheduleAt, status } }));
+  res.json({ data: await apiPostData(post.id), warnings });
+}));
+
+api.use((req, res, next) => next(apiError(404, `No route for ${req.method} ${req.baseUrl}${req.path}`)));
+app.use('/api/v1', api, apiErrorHandler);
+
+async function enqueueDueScheduledPosts() {
+  const posts = await prisma.post.findMany({
+    where: { status: 'scheduled', scheduleAt: { lte: new Date() } },
+    orderBy: [{ scheduleAt: 'asc' }, { id: 'asc' }]
+  });
+  for (const p of posts) {
+    try {
+      if (await enforceChannelLimits(p)) continue;
+    } catch (e) {
+      console.error(`Post ${p.id}: channel limits check failed:`, e.message);
+      continue;
+    }
+    // One job per post and slot, so several app instances cannot publish it twice.
+    await enqueue('publish-post', { postId: p.id }, {
+      dedupeKey: `publish-post:${p.id}:${p.scheduleAt.getTime()}`
+    });
+  }
+}
+
+async function runPublishJob({ postId }) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) {
+    console.warn(`Post ${postId} no longer exists, skipping publish`);
+    return;
+  }
+  // The post was moved to a later slot after this job was queued; the scheduler
+  // picks it up again when the new time comes.
+  if (post.status === 'scheduled' && post.scheduleAt > new Date()) {
+    console.log(`⏭️ Post ${postId} was rescheduled to ${post.scheduleAt.toISOString()}, skipping`);
+    return;
+  }
+  // Posts approved for "send now" skip the scheduler, so their limits are checked here.
+  if (post.status === 'approved' && await enforceChannelLimits(post)) return;
+  if (!await systemTransition(postId, 'publish')) return;
+  await publishPost(postId);
+}
+
+async function runGenerateJob({ postId, ...opts }) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) {
+    console.warn(`Post ${postId} no longer exists, skipping generation`);
+    return;
+  }
+
+  notifyGeneration(post, 'started');
+  try {
+    await generatePostPreview(postId, opts);
+  } catch (err) {
+    notifyGeneration(post, 'retrying', err.message);
+    throw err;
+  }
+  const generated = await prisma.post.update({
+    where: { id: postId },
+    data: { isGenerating: false, lastError: null }
+  });
+  await emitPostEvent(prisma, 'post.generated', generated, { regenerated: Boolean(opts.regenerate), field: opts.field || null });
+  await notifyGeneration(generated, 'finished');
+  await notifyPost(generated, 'generate');
+}
+
+async function failGeneration(postId, err) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return;
+  const failed = await prisma.post.update({
+    where: { id: postId },
+    data: { isGenerating: false, lastError: GENERATION_FAILED_PREFIX + err.message }
+  });
+  await notifyGeneration(failed, 'failed', failed.lastError);
+  await notifyPost(failed, 'generate');
+}
+
+startWorker({
+  'publish-post': {
+    run: runPublishJob,
+    onRetry: ({ postId }, job, err) => publishAttemptFailed(postId, job, err),
+    onDead: ({ postId }, job, err) => {
+      console.error(`💀 Publishing post ${postId} gave up after ${job.attempts} attempts:`, err.message);
+      return failPublishing(postId, err.message, { attempts: job.attempts });
+    }
+  },
+  'generate-post': {
+    run: runGenerateJob,
+    onDead: ({ postId }, job, err) => failGeneration(postId, err)
+  },
+  'rag-upload': {
+    run: ({ documentId }) => indexDocument(documentId),
+    onDead: ({ documentId }, job, err) => markIndexFailed(documentId, err)
+  },
+  'rag-delete': {
+    run: (payload) => removeDocument(payload),
+    onDead: ({ documentId, filename }, job, err) => console.error(`💀 Removing document ${filename} (${documentId}) from RAG gave up:`, err.message)
+  },
+  'media-thumbnail': {
+    run: ({ mediaId }) => createThumbnail(mediaId)
+  },
+  'webhook-delivery': {
+    run: ({ deliveryId }) => deliverWebhook(deliveryId),
+    onDead: ({ deliveryId }) => markDeliveryFailed(deliveryId)
   }
+});
+
+setInterval(() => {
+  enqueueDueScheduledPosts().catch(e => console.error('Scheduler error', e));
+  spawnDuePosts().catch(e => console.error('Recurring posts error', e));
 }, 60*1000);
 
+// Refuse to start rather than sign media links with a guessable key.
+urlSecret();
+
+startTokenRefresher();
+startLiveListener();
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, ()=> console.log('SMM admin running on port', PORT));
\ No newline at end of file
@@ -0,0 +1,124 @@
+const prisma = require('./db');
+
+const ROLES = ['owner', 'editor', 'reviewer', 'viewer'];
+
+// Which workspace roles may do what. Approving is kept away from editors; owners
+// may do both, so approve() (lib/workflow.js) also refuses a post's author and
+// its last human editor.
+const PERMISSIONS = {
+  'workspace:view': ['owner', 'editor', 'reviewer', 'viewer'],
+  'workspace:manage': ['owner'],
+  'brand:create': ['owner', 'editor'],
+  'brand:view': ['owner', 'editor', 'reviewer', 'viewer'],
+  'brand:edit': ['owner', 'editor'],
+  'brand:delete': ['owner'],
+  'post:view': ['owner', 'editor', 'reviewer', 'viewer'],
+  'post:create': ['owner', 'editor'],
+  'post:edit': ['owner', 'editor'],
+  'post:approve': ['owner', 'reviewer'],
+  'post:comment': ['owner', 'editor', 'reviewer'],
+  'audit:view': ['owner'],
+};
+
+function can(role, permission) {
+  return Boolean(role && PERMISSIONS[permission] && PERMISSIONS[permission].includes(role));
+}
+
+async function getMembership(userId, workspaceId) {
+  if (!userId || !workspaceId) return null;
+  return prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId, userId } }
+  });
+}
+
+async function getMemberships(userId) {
+  return prisma.workspaceMember.findMany({
+    where: { userId },
+    include: { workspace: true },
+    orderBy: { workspaceId: 'asc' }
+  });
+}
+
+// The caller's role in a workspace. API requests carry a token (req.apiToken)
+// instead of a session: personal tokens have their user's role, service tokens
+// the role they were issued with, in their own workspace only.
+async function roleIn(req, workspaceId) {
+  const token = req.apiToken;
+  if (token && token.workspaceId) return token.workspaceId === workspaceId ? token.role : null;
+  const member = await getMembership(token ? token.userId : req.session.user.id, workspaceId);
+  return member && member.role;
+}
+
+// Builds middleware that resolves the workspace a route's resource belongs to and
+// checks the current user's role in it. Resources in other workspaces look the
+// same as missing ones. JSON routes get a status code instead of a redirect; API
+// routes pass an error with a status on to the API's error handler.
+function authorize(permission, resolveWorkspaceId, { json = false, api = false } = {}) {
+  return async (req, res, next) => {
+    const deny = (status, message) => {
+      if (api) return next(Object.assign(new Error(message), { status }));
+      if (json) return res.status(status).json({ success: false, error: message });
+      req.flash('error', message);
+      res.redirect(status === 404 ? '/' : (req.get('Referrer') || '/'));
+    };
+
+    try {
+      if (api ? !req.apiToken : !req.session.user) return deny(401, 'Please login');
+
+      const workspaceId = await resolveWorkspaceId(req);
+      const role = await roleIn(req, workspaceId);
+      if (!role) return deny(404, 'Not found');
+      if (!can(role, permission)) return deny(403, `Your role (${role}) does not allow this`);
+
+      req.workspaceId = workspaceId;
+      req.workspaceRole = role;
+      res.locals.role = role;
+      res.locals.can = (p) => can(role, p);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const paramId = (req, name = 'id') => parseInt(req.params[name]) || -1;
+
+async function workspaceOfBrand(req) {
+  const brand = await prisma.brand.findUnique({ where: { id: paramId(req) }, select: { workspaceId: true } });
+  return brand && brand.workspaceId;
+}
+
+async function workspaceOfPost(req) {
+  const post = await prisma.post.findUnique({
+    where: { id: paramId(req) },
+    select: { brand: { select: { workspaceId: true } } }
+  });
+  return post && post.brand.workspaceId;
+}
+
+async function workspaceOfCampaign(req) {
+  const campaign = await prisma.campaign.findUnique({
+    where: { id: paramId(req) },
+    select: { brand: { select: { workspaceId: true } } }
+  });
+  return campaign && campaign.brand.workspaceId;
+}
+
+const brandAccess = (permission, opts) => authorize(permission, workspaceOfBrand, opts);
+const postAccess = (permission, opts) => authorize(permission, workspaceOfPost, opts);
+const campaignAccess = (permission, opts) => authorize(permission, workspaceOfCampaign, opts);
+const workspaceAccess = (permission, opts) => authorize(permission, async (req) => paramId(req), opts);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  getMembership,
+  getMemberships,
+  roleIn,
+  authorize,
+  brandAccess,
+  postAccess,
+  campaignAccess,
+  workspaceAccess,
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const prisma = require('./db');
+const { ROLES } = require('./access');
+const { PLATFORM_LABELS } = require('./brands');
+const { CREDENTIAL_FIELDS } = require('./secrets');
+const { signedMediaUrl } = require('./media');
+
+const TOKEN_PREFIX = 'smm_';
+// lastUsedAt is written at most this often per token.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Scopes narrow what a token may be used for; the role behind it still decides
+// what is allowed.
+const API_SCOPES = {
+  'brands:read': 'Read brands',
+  'brands:write': 'Create, update and delete brands',
+  'documents:read': 'List brand documents',
+  'documents:write': 'Upload, re-index and delete brand documents',
+  'posts:read': 'Read posts and media',
+  'posts:write': 'Create, edit, generate and delete posts, upload media',
+  'posts:publish': 'Move posts through review, approve and schedule them',
+};
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  500: 'internal_error',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function apiError(status, message, details) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+function parseScopes(values) {
+  const scopes = [...new Set([].concat(values || []))];
+  const unknown = scopes.filter(s => !API_SCOPES[s]);
+  if (unknown.length) throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+  if (!scopes.length) throw new Error('Pick at least one scope');
+  return scopes;
+}
+
+// Pass userId for a personal token, or workspaceId and role for a service token.
+// Returns the new row and the token itself, which is shown once and never stored.
+async function createApiToken({ name, scopes, userId = null, workspaceId = null, role = null, createdById, expiresInDays = null }) {
+  name = (name || '').trim();
+  if (!name) throw new Error('Give the token a name');
+  if (workspaceId && !ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+  const days = parseInt(expiresInDays);
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const record = await prisma.apiToken.create({
+    data: {
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: parseScopes(scopes),
+      userId: workspaceId ? null : userId,
+      workspaceId,
+      role: workspaceId ? role : null,
+      createdById,
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+    }
+  });
+  return { record, token };
+}
+
+// where limits which tokens may be revoked: { userId } or { workspaceId }.
+function revokeApiToken(id, where) {
+  return prisma.apiToken.updateMany({
+    where: { ...where, id: parseInt(id) || 0, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+// Authenticates "Authorization: Bearer <token>" and sets req.apiToken.
+async function apiAuth(req, res, next) {
+  try {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) throw apiError(401, 'Send an API token as "Authorization: Bearer <token>"');
+
+    const token = await prisma.apiToken.findUnique({ where: { tokenHash: hashToken(match[1]) } });
+    if (!token || token.revokedAt) throw apiError(401, 'Invalid or revoked API token');
+    if (token.expiresAt && token.expiresAt < new Date()) throw apiError(401, 'API token has expired');
+
+    if (!token.lastUsedAt || Date.now() - token.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+      await prisma.apiToken.update({ where: { id: token.id }, data: { lastUsedAt: new Date() } });
+    }
+    req.apiToken = token;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function requireScope(scope) {
+  return (req, res, next) => next(req.apiToken.scopes.includes(scope) ? undefined : apiError(403, `This token lacks the "${scope}" scope`));
+}
+
+// Express 4 does not catch rejected promises, so API handlers are wrapped.
+const apiHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+
+// The user an API call acts as; null for service tokens.
+const apiUserId = (req) => req.apiToken.userId;
+
+// Last in the API router, so every failure leaves as { error: { code, message, details? } }.
+// Plain Errors are the validation and workflow messages the web UI flashes, so
+// they are the caller's problem; anything else is ours.
+function apiErrorHandler(err, req, res, next) {
+  let status = err.status || err.statusCode;
+  if (err.code === 'LIMIT_FILE_SIZE') status = 413;
+  else if (err.name === 'MulterError') status = 400;
+  else if (err.code === 'P2025') status = 404;
+  else if (!status && err.constructor === Error) status = 400;
+  status = status || 500;
+
+  if (status >= 500) console.error(`❌ API ${req.method} ${req.originalUrl}:`, err);
+  const error = { code: ERROR_CODES[status] || 'error', message: status >= 500 ? 'Internal error' : err.message };
+  if (err.details) error.details = err.details;
+  res.status(status).json({ error });
+}
+
+function brandJson(brand) {
+  const connected = { telegram: Boolean(brand.telegramChannel) };
+  Object.keys(CREDENTIAL_FIELDS).forEach(platform => { connected[platform] = Boolean(brand[CREDENTIAL_FIELDS[platform]]); });
+  return {
+    id: brand.id,
+    workspaceId: brand.workspaceId,
+    name: brand.name,
+    description: brand.description,
+    timezone: brand.timezone,
+    publishMode: brand.publishMode,
+    generatorProvider: brand.generatorProvider,
+    telegramChannel: brand.telegramChannel,
+    languages: Object.fromEntries(Object.keys(PLATFORM_LABELS).map(p => [p, brand[`${p}Languages`] || []])),
+    approvalRules: brand.approvalRules,
+    postingRules: brand.postingRules,
+    connected
+  };
+}
+
+function documentJson(doc) {
+  return {
+    id: doc.id,
+    brandId: doc.brandId,
+    name: doc.originalName,
+    mimeType: doc.mime,
+    uploadedAt: doc.uploadedAt,
+    indexStatus: doc.indexStatus,
+    indexError: doc.indexError,
+    indexUpdatedAt: doc.indexUpdatedAt
+  };
+}
+
+function mediaJson(media) {
+  return {
+    id: media.id,
+    name: media.originalName,
+    mimeType: media.mimeType,
+    size: media.size,
+    width: media.width,
+    height: media.height,
+    duration: media.duration,
+    createdAt: media.createdAt,
+    url: signedMediaUrl(media, { absolute: Boolean(process.env.PUBLIC_BASE_URL) })
+  };
+}
+
+// items are the post's PostMedia rows with their media.
+function postJson(post, items = []) {
+  return {
+    id: post.id,
+    brandId: post.brandId,
+    campaignId: post.campaignId,
+    platform: post.platform,
+    language: post.language,
+    status: post.status,
+    isGenerating: post.isGenerating,
+    lastError: post.lastError,
+    title: post.title,
+    body: post.body,
+    shortText: post.shortText,
+    longText: post.longText,
+    caption: post.caption,
+    hashtags: post.hashtags,
+    scheduleAt: post.scheduleAt,
+    createdAt: post.createdAt,
+    media: items.map(item => ({ ...mediaJson(item.media), altText: item.altText, caption: item.caption }))
+  };
+}
+
+module.exports = {
+  API_SCOPES,
+  createApiToken,
+  revokeApiToken,
+  apiAuth,
+  requireScope,
+  apiHandler,
+  apiUserId,
+  apiError,
+  apiErrorHandler,
+  brandJson,
+  documentJson,
+  mediaJson,
+  postJson,
+};
@@ -0,0 +1,135 @@
+const prisma = require('./db');
+const { parseZonedInput } = require('./timezones');
+
+// Values of fields with these names never reach the log; a change to one shows
+// as [redacted] on whichever side had a value.
+const SECRET_FIELD = /secret|token|password|credential|api_?key/i;
+const REDACTED = '[redacted]';
+// Bookkeeping columns that change on every write.
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+const VALUE_LIMIT = 500;
+
+const CSV_COLUMNS = ['id', 'createdAt', 'action', 'entityType', 'entityId', 'entityLabel', 'workspaceId', 'brandId', 'userId', 'actor', 'apiTokenId', 'ip', 'changes', 'note'];
+
+function comparable(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function loggedValue(field, value) {
+  if (value === null) return null;
+  if (SECRET_FIELD.test(field)) return REDACTED;
+  return value.length > VALUE_LIMIT ? value.slice(0, VALUE_LIMIT) + '…' : value;
+}
+
+// [{ field, before, after }] for the fields that differ. With both rows only the
+// fields in after are compared, so it can be the data of an update; a create has
+// just after and a delete just before.
+function auditChanges(before, after) {
+  const fields = after ? Object.keys(after) : Object.keys(before || {});
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({ field, before: comparable(before ? before[field] : null), after: comparable(after ? after[field] : null) }))
+    .filter(c => c.before !== c.after)
+    .map(c => ({ field: c.field, before: loggedValue(c.field, c.before), after: loggedValue(c.field, c.after) }));
+}
+
+// Session users are logged by email; API calls by the token, and by its user for
+// personal tokens.
+function actorOf(req) {
+  const token = req.apiToken;
+  if (token) return { userId: token.userId || null, actor: `API token ${token.name} (${token.prefix}…)`, apiTokenId: token.id };
+  const user = req.session && req.session.user;
+  return { userId: user ? user.id : null, actor: user ? user.email : null, apiTokenId: null };
+}
+
+// Records one event for the request. workspaceId defaults to the one the access
+// middleware resolved and entityType to the first part of the action
+// ("brand.delete" → "brand"). Pass before and/or after rows, or ready-made
+// changes; by replaces the actor where there is no session yet (registration,
+// login). A failed write is only logged: the change itself has happened.
+async function audit(req, action, {
+  entityType = action.split('.')[0],
+  entityId = null,
+  label = null,
+  workspaceId = req.workspaceId || null,
+  brandId = null,
+  before = null,
+  after = null,
+  changes = null,
+  note = null,
+  by = actorOf(req)
+} = {}) {
+  const diff = changes || (before || after ? auditChanges(before, after) : null);
+  try {
+    await prisma.auditEvent.create({
+      data: {
+        action,
+        entityType,
+        entityId: entityId === null ? null : String(entityId),
+        entityLabel: label,
+        workspaceId,
+        brandId,
+        ...by,
+        ip: req.ip || null,
+        changes: diff && diff.length ? diff : undefined,
+        note
+      }
+    });
+  } catch (e) {
+    console.error(`❌ Audit event ${action} was not recorded:`, e.message);
+  }
+}
+
+// Events the user may see: everything in the workspaces they audit, and their own
+// events outside any workspace (logins, account changes, personal tokens).
+function auditScope(userId, workspaceIds) {
+  return { OR: [{ workspaceId: { in: workspaceIds } }, { workspaceId: null, userId }] };
+}
+
+// Midnight starting the day (YYYY-MM-DD), days later, in the viewer's timezone.
+function dayStart(value, zone, days = 0) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+  const day = new Date(value + 'T00:00:00Z');
+  if (isNaN(day)) return null;
+  day.setUTCDate(day.getUTCDate() + days);
+  return parseZonedInput(day.toISOString().slice(0, 16), zone);
+}
+
+// The query for the filters in the query string: brand and user ids, an action,
+// and from/to days, both included.
+function auditFilters(scope, { brand, user, action, from, to }, zone) {
+  const where = { AND: [scope] };
+  if (parseInt(brand)) where.brandId = parseInt(brand);
+  if (parseInt(user)) where.userId = parseInt(user);
+  if (action) where.action = String(action);
+  const start = dayStart(from, zone);
+  const end = dayStart(to, zone, 1);
+  if (start || end) where.createdAt = { ...(start ? { gte: start } : {}), ...(end ? { lt: end } : {}) };
+  return where;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  // A leading =, +, - or @ would be run as a formula by spreadsheet apps.
+  const safe = /^[=+\-@]/.test(text) ? "'" + text : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function auditCsv(events) {
+  const lines = [CSV_COLUMNS.join(',')];
+  events.forEach(e => lines.push(CSV_COLUMNS.map(c => csvCell(e[c])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  REDACTED,
+  auditChanges,
+  audit,
+  auditScope,
+  auditFilters,
+  auditCsv,
+};
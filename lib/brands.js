@@ -0,0 +1,260 @@
+const { CREDENTIAL_FIELDS, PLAIN_CREDENTIAL_PLATFORMS } = require('./secrets');
+const { META_PROVIDERS } = require('./tokens');
+const { PUBLISH_MODES } = require('./publishers');
+const { GENERATOR_PROVIDERS } = require('./generators');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./timezones');
+
+const PLATFORM_LABELS = {
+  telegram: 'Telegram',
+  wordpress: 'Wordpress',
+  linkedin: 'LinkedIn',
+  instagram: 'Instagram',
+  facebook: 'Facebook',
+  tiktok: 'TikTok',
+};
+
+// Each entry lists the accepted spellings of one required key.
+const CREDENTIAL_SHAPES = {
+  wordpress: [['url'], ['user', 'username'], ['pass', 'password']],
+  linkedin: [['clientId', 'client_id'], ['clientSecret', 'client_secret']],
+  instagram: [['app_id', 'appId', 'client_id', 'clientId'], ['app_secret', 'appSecret', 'client_secret', 'clientSecret'], ['ig_user_id', 'igUserId']],
+  facebook: [['app_id', 'appId', 'client_id', 'clientId'], ['app_secret', 'appSecret', 'client_secret', 'clientSecret'], ['page_id', 'pageId']],
+};
+
+const SETTINGS_FIELDS = [
+  'name',
+  'description',
+  'telegramChannel',
+  'telegramLanguages',
+  'wordpressLanguages',
+  'linkedinLanguages',
+  'tiktokLanguages',
+  'instagramLanguages',
+  'facebookLanguages',
+  'publishMode',
+  'generatorProvider',
+  'approvalRules',
+  'timezone',
+  'postingRules',
+];
+
+const MAX_APPROVALS = 5;
+
+// Credentials are pasted here, so neither the value nor the parser's message
+// (which quotes it) is logged; only the platform.
+const parseJsonSafe = (value, platform) => {
+  if (!value || !value.trim()) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.error(`Invalid JSON in ${platform} credentials`);
+    throw new Error(`Invalid JSON in ${PLATFORM_LABELS[platform] || platform} credentials`);
+  }
+};
+
+const parseLangs = (value) => {
+  if (!value) return [];
+  return value.split(",").map(s => s.trim()).filter(Boolean);
+};
+
+function validateCredentials(platform, value) {
+  const label = PLATFORM_LABELS[platform];
+
+  if (PLAIN_CREDENTIAL_PLATFORMS.includes(platform)) {
+    if (typeof value !== 'string' || !value.trim() || /\s/.test(value.trim())) {
+      throw new Error(`${label} credentials must be a single account id`);
+    }
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} credentials must be a JSON object`);
+  }
+
+  const missing = (CREDENTIAL_SHAPES[platform] || [])
+    .filter(names => !names.some(n => value[n] !== undefined && String(value[n]).trim()))
+    .map(names => `"${names[0]}"`);
+
+  if (missing.length) throw new Error(`${label} credentials are missing ${missing.join(', ')}`);
+
+  if (platform === 'wordpress' && !/^https?:\/\//.test(value.url)) {
+    throw new Error('Wordpress "url" must start with http:// or https://');
+  }
+}
+
+// { default: n, <platform>: n } — platforms only appear when they differ from the default.
+function parseApprovalRules(data) {
+  const count = (value) => {
+    const n = parseInt(value);
+    return n >= 1 && n <= MAX_APPROVALS ? n : null;
+  };
+
+  const rules = { default: count(data.approvals_default) || 1 };
+  Object.keys(PLATFORM_LABELS).forEach(platform => {
+    const n = count(data[`approvals_${platform}`]);
+    if (n && n !== rules.default) rules[platform] = n;
+  });
+  return rules;
+}
+
+// { <platform>: { slots, perDay, minGapMinutes } } — only platforms with a rule appear.
+function parsePostingRules(data) {
+  const rules = {};
+  Object.keys(PLATFORM_LABELS).forEach(platform => {
+    const label = PLATFORM_LABELS[platform];
+    const slots = [...new Set(parseLangs(data[`slots_${platform}`]).map(slot => {
+      const match = slot.match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || +match[1] > 23 || +match[2] > 59) throw new Error(`${label} slot "${slot}" must look like 10:00`);
+      return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }))].sort();
+
+    const perDay = parseInt(data[`per_day_${platform}`]) > 0 ? parseInt(data[`per_day_${platform}`]) : null;
+    const minGapMinutes = parseInt(data[`min_gap_${platform}`]) > 0 ? parseInt(data[`min_gap_${platform}`]) : null;
+
+    if (slots.length || perDay || minGapMinutes) rules[platform] = { slots, perDay, minGapMinutes };
+  });
+  return rules;
+}
+
+// Turns the brand form (create or edit) into plaintext settings, the credentials
+// that were actually submitted, and any Meta tokens to move into the token store.
+function parseBrandForm(data, existing = null) {
+  const name = (data.name || '').trim();
+  if (!name) throw new Error('Name cannot be empty');
+
+  const timezone = (data.timezone || '').trim() || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+
+  const settings = {
+    name,
+    description: data.description || null,
+
+    telegramChannel: data.telegram_channel || null,
+    telegramLanguages: parseLangs(data.telegram_languages),
+    wordpressLanguages: parseLangs(data.wordpress_languages),
+    linkedinLanguages: parseLangs(data.linkedin_languages),
+    tiktokLanguages: parseLangs(data.tiktok_languages),
+    instagramLanguages: parseLangs(data.instagram_languages),
+    facebookLanguages: parseLangs(data.facebook_languages),
+
+    publishMode: PUBLISH_MODES.includes(data.publish_mode) ? data.publish_mode : 'n8n',
+    generatorProvider: GENERATOR_PROVIDERS.includes(data.generator_provider) ? data.generator_provider : 'n8n',
+    approvalRules: parseApprovalRules(data),
+    postingRules: parsePostingRules(data),
+    timezone,
+  };
+
+  const credentials = {};
+  const metaTokens = {};
+
+  Object.keys(CREDENTIAL_FIELDS).forEach(platform => {
+    const raw = data[`${platform}_credentials`];
+    if (!raw || !raw.trim()) return;
+
+    const value = PLAIN_CREDENTIAL_PLATFORMS.includes(platform) ? raw.trim() : parseJsonSafe(raw, platform);
+    if (META_PROVIDERS.includes(platform) && value && value.access_token) {
+      metaTokens[platform] = value.access_token;
+      delete value.access_token;
+    }
+
+    validateCredentials(platform, value);
+    credentials[platform] = value;
+  });
+
+  const sharedMetaToken = data.meta_access_token && data.meta_access_token.trim();
+  if (sharedMetaToken) {
+    META_PROVIDERS.forEach(provider => {
+      const connected = credentials[provider] || (existing && existing[CREDENTIAL_FIELDS[provider]]);
+      if (connected && !metaTokens[provider]) metaTokens[provider] = sharedMetaToken;
+    });
+  }
+
+  return { settings, credentials, metaTokens };
+}
+
+// The API's JSON brand in the shape of the brand form, so it goes through
+// parseBrandForm like the form does. On update (existing given) missing keys
+// keep their current values. Credentials are only set through the web UI.
+function brandFormFromJson(body, existing = null) {
+  const current = existing || {};
+  const pick = (key, fallback) => (key in body ? body[key] : fallback);
+  const text = (value) => (value === null || value === undefined ? '' : String(value));
+  const languages = body.languages || {};
+  const approvals = pick('approvalRules', current.approvalRules) || {};
+  const posting = pick('postingRules', current.postingRules) || {};
+
+  const form = {
+    name: text(pick('name', current.name)),
+    description: pick('description', current.description),
+    timezone: text(pick('timezone', current.timezone)),
+    telegram_channel: pick('telegramChannel', current.telegramChannel),
+    publish_mode: pick('publishMode', current.publishMode),
+    generator_provider: pick('generatorProvider', current.generatorProvider),
+    approvals_default: approvals.default,
+  };
+  Object.keys(PLATFORM_LABELS).forEach(platform => {
+    const list = platform in languages ? languages[platform] : current[`${platform}Languages`];
+    form[`${platform}_languages`] = [].concat(list || []).join(',');
+    form[`approvals_${platform}`] = approvals[platform];
+    const rule = posting[platform] || {};
+    form[`slots_${platform}`] = [].concat(rule.slots || []).join(',');
+    form[`per_day_${platform}`] = rule.perDay;
+    form[`min_gap_${platform}`] = rule.minGapMinutes;
+  });
+  return form;
+}
+
+// Platforms a brand can post to, with the languages configured for each.
+function brandTargets(brand) {
+  return ['telegram', 'wordpress', 'linkedin', 'instagram', 'facebook']
+    .filter(platform => platform === 'telegram' ? brand.telegramChannel : brand[CREDENTIAL_FIELDS[platform]])
+    .map(platform => ({ platform, label: PLATFORM_LABELS[platform], languages: brand[`${platform}Languages`] || [] }));
+}
+
+// Picks the valid platform × language pairs out of "platform:language" form values.
+function parseTargets(brand, values) {
+  const allowed = brandTargets(brand);
+  const seen = new Set();
+
+  return [].concat(values || [])
+    .map(v => String(v).split(':'))
+    .filter(([platform, language]) => {
+      const target = allowed.find(t => t.platform === platform);
+      return target && target.languages.includes(language);
+    })
+    .filter(([platform, language]) => {
+      const key = `${platform}:${language}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(([platform, language]) => ({ platform, language }));
+}
+
+function formatSetting(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (Array.isArray(value)) return value.length ? value.join(', ') : null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function diffBrandSettings(before, after) {
+  return SETTINGS_FIELDS
+    .filter(field => field in after)
+    .map(field => ({ field, before: formatSetting(before[field]), after: formatSetting(after[field]) }))
+    .filter(change => change.before !== change.after);
+}
+
+module.exports = {
+  PLATFORM_LABELS,
+  parseJsonSafe,
+  parseLangs,
+  parseApprovalRules,
+  parsePostingRules,
+  validateCredentials,
+  parseBrandForm,
+  brandFormFromJson,
+  brandTargets,
+  parseTargets,
+  diffBrandSettings,
+};
@@ -0,0 +1,56 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 93;
+const DEFAULT_GAP_MINUTES = 60;
+
+// Posts to the same brand channel closer together than this are flagged.
+// SCHEDULE_MIN_GAP_MINUTES=0 turns the warning off.
+function minGapMinutes() {
+  const minutes = parseInt(process.env.SCHEDULE_MIN_GAP_MINUTES);
+  return minutes >= 0 ? minutes : DEFAULT_GAP_MINUTES;
+}
+
+// from/to come from the calendar as ISO strings; anything missing or broken falls
+// back to the current month.
+function parseRange(query) {
+  const now = new Date();
+  let from = query.from ? new Date(query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  let to = query.to ? new Date(query.to) : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+  if (isNaN(from) || isNaN(to) || to <= from) throw new Error('Invalid date range');
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) to = new Date(from.getTime() + MAX_RANGE_DAYS * DAY_MS);
+  return { from, to };
+}
+
+function channelKey(post) {
+  return `${post.brandId}:${post.platform}`;
+}
+
+// Returns { [postId]: [neighbouring posts] } for posts that share a channel and sit
+// within gapMinutes of each other. Failed posts never go out, so they are ignored.
+function findConflicts(posts, gapMinutes = minGapMinutes()) {
+  const conflicts = {};
+  if (!gapMinutes) return conflicts;
+
+  const channels = {};
+  posts
+    .filter(p => p.scheduleAt && p.platform && p.status !== 'failed')
+    .forEach(p => { (channels[channelKey(p)] = channels[channelKey(p)] || []).push(p); });
+
+  Object.values(channels).forEach(list => {
+    list.sort((a, b) => a.scheduleAt - b.scheduleAt);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length && list[j].scheduleAt - list[i].scheduleAt < gapMinutes * 60 * 1000; j++) {
+        (conflicts[list[i].id] = conflicts[list[i].id] || []).push(list[j]);
+        (conflicts[list[j].id] = conflicts[list[j].id] || []).push(list[i]);
+      }
+    }
+  });
+  return conflicts;
+}
+
+function conflictWarning(post, other) {
+  const minutes = Math.round(Math.abs(other.scheduleAt - post.scheduleAt) / 60000);
+  return `#${other.id} ${other.title || '(no title)'} goes to the same ${post.platform} channel ${minutes} min apart`;
+}
+
+module.exports = { MAX_RANGE_DAYS, minGapMinutes, parseRange, findConflicts, conflictWarning };
@@ -0,0 +1,45 @@
+const prisma = require('./db');
+
+const SUMMARY_LIMIT = 2000;
+
+// Prisma rejects plain null for Json columns, so "nothing" is left undefined.
+function summarize(data) {
+  if (data === undefined || data === null) return undefined;
+  const json = typeof data === 'string' ? data : JSON.stringify(data);
+  if (json.length <= SUMMARY_LIMIT) return typeof data === 'string' ? { body: data } : data;
+  return { truncated: true, body: json.slice(0, SUMMARY_LIMIT) };
+}
+
+async function startDelivery(post, channel, request) {
+  const previous = await prisma.postDelivery.count({
+    where: { postId: post.id, platform: post.platform || 'unknown' }
+  });
+
+  return prisma.postDelivery.create({
+    data: {
+      postId: post.id,
+      platform: post.platform || 'unknown',
+      channel,
+      attempt: previous + 1,
+      status: 'pending',
+      request: summarize(request)
+    }
+  });
+}
+
+async function finishDelivery(id, result) {
+  return prisma.postDelivery.update({
+    where: { id },
+    data: {
+      status: result.status,
+      remoteId: result.remoteId || null,
+      permalink: result.url || null,
+      httpStatus: result.httpStatus || null,
+      response: summarize(result.response),
+      error: result.error || null,
+      finishedAt: new Date()
+    }
+  });
+}
+
+module.exports = { summarize, startDelivery, finishDelivery };
@@ -0,0 +1,72 @@
+// The generator response contract. Every provider's output goes through
+// validateGeneration before it touches a post.
+const TEXT_FIELDS = ['title', 'short_text', 'long_text', 'caption'];
+const CONTENT_FIELDS = ['short_text', 'long_text', 'caption'];
+
+// Contract violations are not worth retrying; the queue gives up on them immediately.
+function generationError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function parseJsonResponse(raw, provider) {
+  if (typeof raw !== 'string') return raw;
+  const text = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw generationError(`${provider} returned a response that is not JSON: ${text.slice(0, 200)}`);
+  }
+}
+
+function normalizeHashtags(value, provider) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = typeof value === 'string' ? value.split(/[\s,]+/) : value;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    throw generationError(`${provider} returned invalid "hashtags": expected an array of strings`);
+  }
+  return list
+    .map(tag => tag.trim().replace(/^#*/, ''))
+    .filter(Boolean)
+    .map(tag => '#' + tag);
+}
+
+// Returns { title, short_text, long_text, caption, hashtags, image } or throws a
+// permanent error describing exactly what was wrong with the response.
+function validateGeneration(raw, provider, expectedField = null) {
+  let data = parseJsonResponse(raw, provider);
+  if (Array.isArray(data)) {
+    if (!data.length) throw generationError(`${provider} returned an empty array`);
+    data = parseJsonResponse(data[0], provider);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw generationError(`${provider} returned ${data === null ? 'null' : typeof data} instead of an object`);
+  }
+
+  const result = {};
+  TEXT_FIELDS.forEach(field => {
+    const value = data[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw generationError(`${provider} returned invalid "${field}": expected a string, got ${typeof value}`);
+    }
+    result[field] = value && value.trim() ? value : null;
+  });
+  result.hashtags = normalizeHashtags(data.hashtags, provider);
+
+  if (data.image !== undefined && data.image !== null && typeof data.image !== 'string') {
+    throw generationError(`${provider} returned invalid "image": expected a base64 string`);
+  }
+  result.image = data.image || null;
+
+  if (expectedField) {
+    const present = expectedField === 'hashtags' ? result.hashtags.length : result[expectedField];
+    if (!present) throw generationError(`${provider} did not return "${expectedField}"`);
+  } else if (!CONTENT_FIELDS.some(field => result[field])) {
+    throw generationError(`${provider} returned none of ${CONTENT_FIELDS.map(f => `"${f}"`).join(', ')}`);
+  }
+
+  return result;
+}
+
+module.exports = { TEXT_FIELDS, generationError, validateGeneration };
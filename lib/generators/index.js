@@ -0,0 +1,35 @@
+const n8n = require('./n8n');
+const openai = require('./openai');
+const template = require('./template');
+const { validateGeneration } = require('./contract');
+
+const GENERATORS = {
+  n8n,
+  openai,
+  template,
+};
+
+const GENERATOR_PROVIDERS = Object.keys(GENERATORS);
+
+// request: { brand, post, media: [{ buffer, contentType, filename, altText, caption }],
+//            regenerate: { instruction, field, current } | null }
+async function generate(provider, request, options = {}) {
+  const generator = GENERATORS[provider || 'n8n'];
+  if (!generator) throw new Error(`Unknown generator "${provider}"`);
+
+  let raw;
+  try {
+    raw = await generator.generate(request, { timeout: 120000, ...options });
+  } catch (err) {
+    if (err.permanent) throw err;
+    const status = err.response && err.response.status;
+    const wrapped = new Error(`${generator.provider} request failed${status ? ` with HTTP ${status}` : ''}: ${err.message}`);
+    // Client errors (bad key, wrong model, bad URL) will not fix themselves on retry.
+    wrapped.permanent = Boolean(status && status >= 400 && status < 500 && status !== 408 && status !== 429);
+    throw wrapped;
+  }
+
+  return validateGeneration(raw, generator.provider, request.regenerate && request.regenerate.field);
+}
+
+module.exports = { GENERATORS, GENERATOR_PROVIDERS, generate };
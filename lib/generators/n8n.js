@@ -0,0 +1,49 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { generationError } = require('./contract');
+
+async function generate({ brand, post, media, regenerate }, options) {
+  const webhook = process.env.N8N_GENERATE_WEBHOOK_URL;
+  if (!webhook) throw generationError('N8N_GENERATE_WEBHOOK_URL is not set');
+
+  const form = new FormData();
+  form.append('brandId', brand.id);
+  form.append('brand_name', brand.name);
+  form.append('brand_description', brand.description || '');
+  form.append('title', post.title || '');
+  form.append('body', post.body || '');
+  form.append('platform', post.platform || '');
+  form.append('language', post.language || '');
+
+  if (regenerate) {
+    form.append('instruction', regenerate.instruction || '');
+    form.append('regenerate_field', regenerate.field || '');
+    form.append('current_title', regenerate.current.title || '');
+    form.append('current_short_text', regenerate.current.short_text || '');
+    form.append('current_long_text', regenerate.current.long_text || '');
+    form.append('current_caption', regenerate.current.caption || '');
+    form.append('current_hashtags', regenerate.current.hashtags.join(' '));
+  }
+
+  // The files go as media_0, media_1, ... in the post's order; "media" describes them.
+  form.append('media', JSON.stringify(media.map((item, i) => ({
+    field: `media_${i}`,
+    filename: item.filename,
+    mime_type: item.contentType,
+    alt_text: item.altText || '',
+    caption: item.caption || ''
+  }))));
+  media.forEach((item, i) => {
+    form.append(`media_${i}`, item.buffer, { filename: item.filename, contentType: item.contentType });
+  });
+
+  const r = await axios.post(webhook, form, {
+    headers: form.getHeaders(),
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout: options.timeout
+  });
+  return r.data;
+}
+
+module.exports = { provider: 'n8n', label: 'n8n webhook', generate };
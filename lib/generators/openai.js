@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { generationError } = require('./contract');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const SYSTEM_PROMPT = [
+  'You write social media posts for a brand.',
+  'Reply with a single JSON object and nothing else, with these keys:',
+  '"title" (string), "short_text" (string, one or two sentences), "long_text" (string, the full post),',
+  '"caption" (string, suitable for an image caption or a blog excerpt) and "hashtags" (array of strings starting with #).',
+  'Write in the requested language and fit the style of the requested platform.',
+].join(' ');
+
+function userPrompt({ brand, post, regenerate }) {
+  const lines = [
+    `Brand: ${brand.name}`,
+    brand.description ? `About the brand: ${brand.description}` : null,
+    `Platform: ${post.platform || 'any'}`,
+    `Language: ${post.language || 'en'}`,
+    post.title ? `Topic: ${post.title}` : null,
+    post.body ? `Draft:\n${post.body}` : null,
+  ];
+
+  if (regenerate) {
+    lines.push(`Current version:\n${JSON.stringify(regenerate.current, null, 2)}`);
+    if (regenerate.instruction) lines.push(`Reviewer feedback: ${regenerate.instruction}`);
+    if (regenerate.field) lines.push(`Only rewrite "${regenerate.field}"; return the other keys unchanged.`);
+  }
+
+  return lines.filter(Boolean).join('\n\n');
+}
+
+// Works with any OpenAI-compatible chat completions server; point
+// OPENAI_BASE_URL at a local one to generate without leaving the machine.
+async function generate(request, options) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+  const r = await axios.post(`${baseUrl}/chat/completions`, {
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    response_format: { type: 'json_object' },
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: userPrompt(request) }
+    ]
+  }, { headers, timeout: options.timeout });
+
+  const choice = r.data && Array.isArray(r.data.choices) && r.data.choices[0];
+  const content = choice && choice.message && choice.message.content;
+  if (typeof content !== 'string') throw generationError('openai returned no message content');
+  return content;
+}
+
+module.exports = { provider: 'openai', label: 'OpenAI-compatible chat endpoint', generate };
@@ -0,0 +1,33 @@
+// Builds a post straight from the draft without calling any model. Output depends
+// only on the input, which makes it useful for tests and offline work.
+function plain(text) {
+  return (text || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function firstSentence(text, limit) {
+  const sentence = (text.match(/^.*?[.!?](\s|$)/) || [text])[0].trim();
+  return sentence.length > limit ? sentence.slice(0, limit - 1).trimEnd() + '…' : sentence;
+}
+
+function hashtagsFor(brand, title) {
+  const words = [brand.name, ...plain(title).split(' ').filter(w => w.length > 4).slice(0, 3)];
+  return words
+    .map(w => w.replace(/[^\p{L}\p{N}]+/gu, ''))
+    .filter(Boolean)
+    .map(w => '#' + w.toLowerCase());
+}
+
+async function generate({ brand, post }) {
+  const title = plain(post.title) || brand.name;
+  const body = plain(post.body) || title;
+
+  return {
+    title,
+    short_text: firstSentence(body, 200),
+    long_text: `${title}\n\n${body}`,
+    caption: body,
+    hashtags: hashtagsFor(brand, title),
+  };
+}
+
+module.exports = { provider: 'template', label: 'Template (no AI, offline)', generate };
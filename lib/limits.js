@@ -0,0 +1,105 @@
+const { PLATFORM_LABELS } = require('./brands');
+const { withHashtags } = require('./publishers/content');
+
+// Text limits of each platform, keyed like post.platform. `fields` is the order
+// in which the publishers pick the post text (the first non-empty one is sent),
+// and hashtags are appended to it unless `hashtags` is false.
+// maxLength, maxCaptionLength (with an image) and maxHashtags are hard limits and
+// block approval; previewLength and recommendedHashtags only warn.
+const CONTENT_LIMITS = {
+  telegram: {
+    fields: ['longText', 'body'],
+    maxLength: 4096,
+    maxCaptionLength: 1024
+  },
+  instagram: {
+    fields: ['caption', 'shortText', 'longText', 'body'],
+    maxLength: 2200,
+    maxHashtags: 30,
+    previewLength: 125
+  },
+  facebook: {
+    fields: ['caption', 'shortText', 'longText', 'body'],
+    maxLength: 63206,
+    previewLength: 480,
+    recommendedHashtags: 10
+  },
+  linkedin: {
+    fields: ['caption', 'shortText', 'longText', 'body'],
+    maxLength: 3000,
+    previewLength: 210,
+    recommendedHashtags: 5
+  },
+  wordpress: {
+    fields: ['caption', 'longText', 'body'],
+    hashtags: false,
+    maxTitleLength: 255,
+    recommendedTitleLength: 60
+  },
+  tiktok: {
+    fields: ['caption', 'shortText', 'longText', 'body'],
+    maxLength: 2200
+  },
+};
+
+// Counted in code points, the way the platforms count emoji.
+const charCount = (text) => Array.from(text || '').length;
+const formatNumber = (n) => n.toLocaleString('en-US');
+
+// The text that will be published and where it comes from.
+function publishedText(post, rules) {
+  const field = rules.fields.find(f => post[f] && post[f].trim()) || null;
+  const text = field ? post[field] : '';
+  return { field, text: rules.hashtags === false ? text : withHashtags(text, post.hashtags) };
+}
+
+// Returns { field, length, hashtags, errors, warnings } for the post's platform.
+// errors are hard limits of the platform; warnings are worth a look but publish fine.
+function checkContent(post) {
+  const rules = CONTENT_LIMITS[post.platform];
+  const label = PLATFORM_LABELS[post.platform] || post.platform;
+  const result = { field: null, length: 0, hashtags: (post.hashtags || []).length, errors: [], warnings: [] };
+  if (!rules) return result;
+
+  const { field, text } = publishedText(post, rules);
+  const length = charCount(text);
+  const withImage = Boolean(post.mediaId || post.imagePath);
+  Object.assign(result, { field, length });
+
+  if (rules.maxLength && length > rules.maxLength) {
+    result.errors.push(`${label} allows ${formatNumber(rules.maxLength)} characters, this post has ${formatNumber(length)}`);
+  } else if (rules.maxCaptionLength && withImage && length > rules.maxCaptionLength) {
+    result.errors.push(`${label} photo captions are limited to ${formatNumber(rules.maxCaptionLength)} characters, this post has ${formatNumber(length)}. Shorten the text or remove the image`);
+  } else if (rules.previewLength && length > rules.previewLength) {
+    result.warnings.push(`Only the first ${rules.previewLength} characters show in the ${label} feed before "more"`);
+  }
+
+  if (rules.maxHashtags && result.hashtags > rules.maxHashtags) {
+    result.errors.push(`${label} allows ${rules.maxHashtags} hashtags, this post has ${result.hashtags}`);
+  } else if (rules.recommendedHashtags && result.hashtags > rules.recommendedHashtags) {
+    result.warnings.push(`More than ${rules.recommendedHashtags} hashtags on ${label} tends to reduce reach`);
+  }
+  if (rules.hashtags === false && result.hashtags) {
+    result.warnings.push(`Hashtags are not published to ${label}`);
+  }
+
+  const titleLength = charCount(post.title);
+  if (rules.maxTitleLength && titleLength > rules.maxTitleLength) {
+    result.errors.push(`${label} titles are limited to ${rules.maxTitleLength} characters, this one has ${titleLength}`);
+  } else if (rules.recommendedTitleLength && titleLength > rules.recommendedTitleLength) {
+    result.warnings.push(`Titles over ${rules.recommendedTitleLength} characters get cut off in search results`);
+  }
+
+  if (!field && !withImage) result.errors.push('There is nothing to publish: the post has no text and no media');
+  return result;
+}
+
+// Runs before approval; hard violations cannot be approved.
+function assertContent(post) {
+  const { errors } = checkContent(post);
+  if (errors.length) {
+    throw new Error(`Content does not fit ${PLATFORM_LABELS[post.platform] || post.platform}: ${errors.join('; ')}`);
+  }
+}
+
+module.exports = { CONTENT_LIMITS, charCount, checkContent, assertContent };
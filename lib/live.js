@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+const { Client } = require('pg');
+const prisma = require('./db');
+
+// Live updates for open pages, sent as Server-Sent Events per brand:
+//   post        { id, brandId, title, platform, status, isGenerating, lastError, scheduleAt, action }
+//               after a status change, a reschedule or the end of a generation
+//   generation  { postId, stage, error } while a post is being generated; stage is
+//               started, media, retrying, finished or failed
+// Changes are announced with Postgres NOTIFY, so every app instance hears them,
+// whichever one ran the job. Each instance passes them on to the browsers
+// connected to it; post events carry only ids and are read fresh there.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const PG_CHANNEL = 'live_events';
+const HEARTBEAT_MS = 25 * 1000;
+// Streams for one post also re-read it this often, in case a notification was
+// lost while the listener reconnected.
+const RECHECK_MS = 10 * 1000;
+const RECONNECT_MS = 5 * 1000;
+// NOTIFY payloads are limited to 8000 bytes.
+const ERROR_LIMIT = 1000;
+
+const channel = (brandId) => `brand:${brandId}`;
+
+let listening = false;
+
+function postSnapshot(post, action = null) {
+  return {
+    id: post.id,
+    brandId: post.brandId,
+    title: post.title,
+    platform: post.platform,
+    status: post.status,
+    isGenerating: post.isGenerating,
+    lastError: post.lastError,
+    scheduleAt: post.scheduleAt,
+    action
+  };
+}
+
+// Hands a notification to this instance's streams.
+async function dispatch({ type, brandId, data }) {
+  if (!bus.listenerCount(channel(brandId))) return;
+  if (type === 'post') {
+    const current = await prisma.post.findUnique({ where: { id: data.postId } });
+    if (current) bus.emit(channel(current.brandId), { type, data: postSnapshot(current, data.action) });
+    return;
+  }
+  bus.emit(channel(brandId), { type, data });
+}
+
+async function announce(message) {
+  try {
+    await prisma.$executeRaw`SELECT pg_notify(${PG_CHANNEL}, ${JSON.stringify(message)})`;
+    // Without a listener this instance would not hear itself.
+    if (!listening) await dispatch(message);
+  } catch (e) {
+    console.error(`Live ${message.type} event for brand ${message.brandId} failed:`, e.message);
+  }
+}
+
+// Call it after the transaction, never inside one. Failures are only logged: the
+// change itself has happened.
+function notifyPost(post, action = null) {
+  return announce({ type: 'post', brandId: post.brandId, data: { postId: post.id, action } });
+}
+
+function notifyGeneration(post, stage, error = null) {
+  return announce({
+    type: 'generation',
+    brandId: post.brandId,
+    data: { postId: post.id, stage, error: error ? String(error).slice(0, ERROR_LIMIT) : null }
+  });
+}
+
+// Keeps one connection LISTENing for the whole process, reconnecting when it drops.
+function startLiveListener() {
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  const reconnect = (err) => {
+    console.error('Live listener disconnected, reconnecting:', err ? err.message : 'connection ended');
+    listening = false;
+    client.removeAllListeners();
+    client.on('error', () => {});
+    client.end().catch(() => {});
+    setTimeout(startLiveListener, RECONNECT_MS);
+  };
+
+  client.on('notification', (msg) => {
+    let message;
+    try {
+      message = JSON.parse(msg.payload);
+    } catch (e) {
+      return console.error('Live listener: bad payload', e.message);
+    }
+    dispatch(message).catch(e => console.error('Live dispatch failed:', e.message));
+  });
+  client.on('error', reconnect);
+  client.on('end', () => listening && reconnect());
+
+  client.connect()
+    .then(() => client.query(`LISTEN ${PG_CHANNEL}`))
+    .then(() => {
+      listening = true;
+      console.log('📡 Live listener connected');
+    })
+    .catch(reconnect);
+}
+
+// Streams the brand's events until the client disconnects. post narrows the
+// stream to one post and starts it with that post's current state, so a page that
+// connects late still learns a generation has already finished.
+function streamEvents(req, res, brandId, post = null) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let last = post ? postSnapshot(post) : null;
+  const send = ({ type, data }) => {
+    if (post && (data.postId || data.id) !== post.id) return;
+    if (post && type === 'post') last = data;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  if (post) send({ type: 'post', data: last });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  const recheck = post && setInterval(async () => {
+    try {
+      const current = await prisma.post.findUnique({ where: { id: post.id } });
+      if (current && (current.status !== last.status || current.isGenerating !== last.isGenerating)) {
+        send({ type: 'post', data: postSnapshot(current) });
+      }
+    } catch (e) {
+      console.error(`Live recheck of post ${post.id} failed:`, e.message);
+    }
+  }, RECHECK_MS);
+  bus.on(channel(brandId), send);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (recheck) clearInterval(recheck);
+    bus.off(channel(brandId), send);
+  });
+}
+
+module.exports = { notifyPost, notifyGeneration, startLiveListener, streamEvents };
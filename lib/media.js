@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const path = require('path');
+const prisma = require('./db');
+const { enqueue } = require('./queue');
+const { safeEqual } = require('./secrets');
+const { driverFor, defaultDriver } = require('./storage');
+const { probeMedia } = require('./probe');
+const { mediaForPlatform, readStored } = require('./renditions');
+
+const MB = 1024 * 1024;
+const DEFAULT_LIMITS_MB = { image: 10, video: 250, document: 25 };
+const DEFAULT_URL_TTL_SECONDS = 3600;
+const MAX_POST_MEDIA = 20;
+
+const OFFICE_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+const TEXT_TYPES = { '.md': 'text/markdown', '.csv': 'text/csv', '.json': 'application/json', '.html': 'text/html' };
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'application/pdf': 'pdf',
+};
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((b, i) => buffer[offset + i] === b);
+const ascii = (s) => [...s].map(c => c.charCodeAt(0));
+
+// MP4, QuickTime, HEIC and AVIF all start with an ftyp box; its major and
+// compatible brands tell them apart. HEIC (iPhone photos) is recognised only to be
+// refused: sharp cannot decode it, so no platform copy could be made.
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+function isoMediaType(buffer) {
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) brands.push(buffer.toString('latin1', offset, offset + 4));
+
+  if (brands.some(b => AVIF_BRANDS.includes(b))) return 'image/avif';
+  if (brands.some(b => HEIF_BRANDS.includes(b))) return 'image/heic';
+  return brands[0] === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+}
+
+// The declared Content-Type and file extension come from the browser and are not
+// trusted; the type is decided by the file's first bytes. Returns null for
+// anything we do not recognise.
+function sniffMime(buffer, originalName = '') {
+  const ext = path.extname(originalName).toLowerCase();
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (buffer.length >= 12 && startsWith(buffer, ascii('ftyp'), 4)) return isoMediaType(buffer);
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return OFFICE_TYPES[ext] || null;
+
+  const head = buffer.subarray(0, 8192);
+  if (buffer.length && !head.includes(0) && !head.toString('utf8').includes('\uFFFD')) {
+    return TEXT_TYPES[ext] || 'text/plain';
+  }
+  return null;
+}
+
+function mediaKind(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+// MEDIA_MAX_IMAGE_MB, MEDIA_MAX_VIDEO_MB, MEDIA_MAX_DOCUMENT_MB
+function sizeLimit(kind) {
+  const mb = parseFloat(process.env[`MEDIA_MAX_${kind.toUpperCase()}_MB`]);
+  return Math.round((mb > 0 ? mb : DEFAULT_LIMITS_MB[kind]) * MB);
+}
+
+// Multer rejects anything above the largest per-kind limit before it is buffered.
+function maxUploadBytes() {
+  return Math.max(...Object.keys(DEFAULT_LIMITS_MB).map(sizeLimit));
+}
+
+function formatSize(bytes) {
+  if (bytes >= MB) return `${(bytes / MB).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Validates and stores a file for the brand. The same bytes uploaded twice to one
+// brand give back the existing row instead of a second copy.
+// kinds limits what is accepted here, e.g. ['image'] for a post image.
+async function storeMedia({ brandId, buffer, originalName = null, source = 'upload', userId = null, kinds = null }) {
+  const mimeType = sniffMime(buffer, originalName || '');
+  if (!mimeType) throw new Error(`${originalName || 'File'}: unsupported file type`);
+  if (mimeType === 'image/heic') throw new Error(`${originalName || 'File'}: HEIC photos are not supported, save or export them as JPEG`);
+
+  const kind = mediaKind(mimeType);
+  if (kinds && !kinds.includes(kind)) throw new Error(`${originalName || 'File'}: expected ${kinds.join(' or ')}, got ${mimeType}`);
+  if (buffer.length > sizeLimit(kind)) {
+    throw new Error(`${originalName || 'File'} is ${formatSize(buffer.length)}, the limit for ${kind}s is ${formatSize(sizeLimit(kind))}`);
+  }
+
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await prisma.media.findUnique({ where: { brandId_checksum: { brandId, checksum } } });
+  if (existing) return existing;
+
+  const probed = await probeMedia(buffer, mimeType);
+
+  const driver = defaultDriver();
+  const ext = EXTENSIONS[mimeType] || path.extname(originalName || '').slice(1).toLowerCase() || 'bin';
+  const storageKey = `brands/${brandId}/${checksum.slice(0, 2)}/${checksum}.${ext}`;
+  await driver.put(storageKey, buffer, { contentType: mimeType });
+
+  try {
+    const media = await prisma.media.create({
+      data: {
+        brandId,
+        storageKey,
+        driver: driver.name,
+        originalName: originalName ? path.basename(originalName).slice(0, 255) : null,
+        mimeType,
+        size: buffer.length,
+        ...probed,
+        checksum,
+        source,
+        createdById: userId
+      }
+    });
+    if (kind === 'image') await enqueue('media-thumbnail', { mediaId: media.id }, { maxAttempts: 3 });
+    return media;
+  } catch (e) {
+    // Two uploads of the same file raced; both wrote the same key.
+    if (e.code === 'P2002') return prisma.media.findUnique({ where: { brandId_checksum: { brandId, checksum } } });
+    throw e;
+  }
+}
+
+// Works for renditions too; both carry driver and storageKey.
+async function readMedia(media) {
+  return readStored(media);
+}
+
+// Library items that are still referenced by a post, a version, a campaign or a
+// document cannot be removed. A post's first item is counted once.
+async function mediaUsage(mediaIds) {
+  const ids = [].concat(mediaIds);
+  const [items, variants, campaigns, documents] = await Promise.all([
+    prisma.postMedia.groupBy({ by: ['mediaId'], where: { mediaId: { in: ids } }, _count: true }),
+    prisma.postVariant.groupBy({ by: ['mediaId'], where: { mediaId: { in: ids } }, _count: true }),
+    prisma.campaign.groupBy({ by: ['mediaId'], where: { mediaId: { in: ids } }, _count: true }),
+    prisma.brandDocument.groupBy({ by: ['mediaId'], where: { mediaId: { in: ids } }, _count: true }),
+  ]);
+
+  const usage = {};
+  ids.forEach(id => { usage[id] = 0; });
+  [items, variants, campaigns, documents].forEach(rows => rows.forEach(r => { usage[r.mediaId] += r._count; }));
+  return usage;
+}
+
+// Replaces the post's media with items ([{ mediaId, altText, caption }], in
+// order) and keeps Post.mediaId pointing at the first one.
+async function setPostMedia(client, postId, items) {
+  const unique = items.filter((item, i) => items.findIndex(x => x.mediaId === item.mediaId) === i);
+  if (unique.length > MAX_POST_MEDIA) throw new Error(`A post can have at most ${MAX_POST_MEDIA} media items`);
+
+  await client.postMedia.deleteMany({ where: { postId } });
+  if (unique.length) {
+    await client.postMedia.createMany({
+      data: unique.map((item, position) => ({
+        postId,
+        mediaId: item.mediaId,
+        position,
+        altText: item.altText || null,
+        caption: item.caption || null
+      }))
+    });
+  }
+  const mediaId = unique.length ? unique[0].mediaId : null;
+  await client.post.update({ where: { id: postId }, data: { mediaId } });
+  return mediaId;
+}
+
+// Versions, generation and legacy imports only know one image: it replaces the
+// first item and the rest of the list stays. null clears the list.
+async function setCoverMedia(client, postId, mediaId) {
+  const items = await client.postMedia.findMany({ where: { postId }, orderBy: { position: 'asc' } });
+  if (!mediaId) return setPostMedia(client, postId, []);
+  if (items.length && items[0].mediaId === mediaId) return mediaId;
+  return setPostMedia(client, postId, [{ mediaId }].concat(items.slice(1)));
+}
+
+// The post's items in order, each with its Media row.
+function postMediaItems(post, client = prisma) {
+  return client.postMedia.findMany({
+    where: { postId: post.id },
+    include: { media: true },
+    orderBy: { position: 'asc' }
+  });
+}
+
+// Returns false when the media is still in use.
+async function deleteMediaIfUnused(mediaId) {
+  const media = await prisma.media.findUnique({ where: { id: mediaId } });
+  if (!media) return true;
+  if ((await mediaUsage(mediaId))[mediaId]) return false;
+
+  const renditions = await prisma.mediaRendition.findMany({ where: { mediaId } });
+  await prisma.media.delete({ where: { id: mediaId } });
+  for (const item of [media, ...renditions]) await driverFor(item.driver).delete(item.storageKey);
+  return true;
+}
+
+// Removes the stored objects of a brand that is being deleted; the rows go with the brand.
+async function deleteBrandMedia(brandId) {
+  const media = await prisma.media.findMany({ where: { brandId }, include: { renditions: true } });
+  const items = media.flatMap(m => [m, ...m.renditions]);
+  for (const item of items) {
+    try {
+      await driverFor(item.driver).delete(item.storageKey);
+    } catch (e) {
+      console.error(`❌ Could not delete ${item.storageKey}:`, e.message);
+    }
+  }
+}
+
+// Anyone who knows the key can sign links to any file, so there is no default:
+// MEDIA_URL_SECRET, or else a SESSION_SECRET that is not the placeholder.
+function urlSecret() {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.SESSION_SECRET;
+  if (!secret || secret === 'secret') throw new Error('MEDIA_URL_SECRET is not set, media links cannot be signed');
+  return secret;
+}
+
+function urlTtlSeconds() {
+  const ttl = parseInt(process.env.MEDIA_URL_TTL_SECONDS);
+  return ttl > 0 ? ttl : DEFAULT_URL_TTL_SECONDS;
+}
+
+function mediaSignature(mediaId, rendition, expires) {
+  return crypto.createHmac('sha256', urlSecret()).update(`${mediaId}.${rendition || ''}.${expires}`).digest('hex');
+}
+
+// Media is never served from a public folder. Pages, n8n and the platforms get a
+// link that works until it expires; absolute links need PUBLIC_BASE_URL.
+// rendition picks a derived copy ("thumbnail", a platform name) instead of the original.
+function signedMediaUrl(media, { ttlSeconds = urlTtlSeconds(), absolute = false, rendition = null } = {}) {
+  if (!media) return null;
+  const id = media.id || media;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const query = rendition ? `rendition=${encodeURIComponent(rendition)}&` : '';
+  const url = `/media/${id}?${query}expires=${expires}&signature=${mediaSignature(id, rendition, expires)}`;
+  if (!absolute) return url;
+
+  if (!process.env.PUBLIC_BASE_URL) throw new Error('PUBLIC_BASE_URL is required for public media links');
+  return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') + url;
+}
+
+function verifyMediaSignature(mediaId, rendition, expires, signature) {
+  const exp = parseInt(expires);
+  if (!exp || exp < Date.now() / 1000 || !signature) return false;
+  return safeEqual(mediaSignature(mediaId, rendition, exp), signature);
+}
+
+// The post's images and videos in order, each as { media, rendition, buffer,
+// filename, mimeType, altText, caption }. With forPlatform, the copy that meets
+// the post platform's rules is loaded (see renditions.js), and this throws when
+// there is none.
+async function loadPostMedia(post, { forPlatform = false } = {}) {
+  const loaded = [];
+  for (const { media, altText, caption } of await postMediaItems(post)) {
+    const { item, purpose } = forPlatform ? await mediaForPlatform(media, post.platform) : { item: media, purpose: null };
+    const name = media.originalName || path.basename(media.storageKey);
+    loaded.push({
+      media,
+      rendition: purpose,
+      buffer: await readMedia(item),
+      filename: purpose ? name.replace(/\.[^.]*$/, '') + path.extname(item.storageKey) : name,
+      mimeType: item.mimeType,
+      altText,
+      caption
+    });
+  }
+  return loaded;
+}
+
+// Before the media library, uploads kept a filename under uploads/ in imagePath and
+// generated images kept the whole base64 string there. Moves such a value into
+// the library and returns the Media row, or null when there is nothing usable.
+async function importLegacyImage(brandId, imagePath, userId = null) {
+  if (!imagePath) return null;
+
+  const local = driverFor('local');
+  const filename = path.basename(imagePath);
+  if (await local.exists(filename)) {
+    return storeMedia({ brandId, buffer: await local.get(filename), originalName: filename, source: 'upload', userId });
+  }
+
+  // Anything short is a filename whose file is gone.
+  if (imagePath.length < 256 || !/^[A-Za-z0-9+/=\s]+$/.test(imagePath)) return null;
+  return storeMedia({ brandId, buffer: Buffer.from(imagePath, 'base64'), source: 'generated', userId });
+}
+
+module.exports = {
+  MAX_POST_MEDIA,
+  sniffMime,
+  mediaKind,
+  sizeLimit,
+  maxUploadBytes,
+  formatSize,
+  storeMedia,
+  readMedia,
+  mediaUsage,
+  setPostMedia,
+  setCoverMedia,
+  postMediaItems,
+  deleteMediaIfUnused,
+  deleteBrandMedia,
+  urlSecret,
+  signedMediaUrl,
+  verifyMediaSignature,
+  loadPostMedia,
+  importLegacyImage,
+};
@@ -0,0 +1,321 @@
+const { API_SCOPES } = require('./api');
+const { PLATFORM_LABELS } = require('./brands');
+const { REGENERATE_FIELDS } = require('./revisions');
+const { STATUSES } = require('./workflow');
+
+// The OpenAPI 3 description of /api/v1, served at /api/v1/openapi.json. Keep it
+// next to the routes in app.js when either changes.
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const data = (schema) => json({ type: 'object', properties: { data: schema } });
+const list = (name) => data({ type: 'array', items: ref(name) });
+const idParam = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'integer' }, description });
+const pageParams = [
+  { name: 'limit', in: 'query', schema: { type: 'integer', default: 50, maximum: 100 } },
+  { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+];
+const errors = (...codes) => Object.fromEntries(codes.map(code => [code, { $ref: `#/components/responses/${code}` }]));
+
+// scope is the token scope the operation needs; the caller's role is checked too.
+function op(summary, scope, { params = [], body, responses }) {
+  const operation = {
+    summary,
+    description: `Requires the \`${scope}\` scope.`,
+    security: [{ bearer: [scope] }],
+    parameters: params,
+    responses: { ...responses, ...errors(400, 401, 403, 404) }
+  };
+  if (body) operation.requestBody = { required: true, ...body };
+  return operation;
+}
+
+const brandId = idParam('id', 'Brand id');
+const postId = idParam('id', 'Post id');
+const docId = idParam('docId', 'Document id');
+const nullableString = { type: 'string', nullable: true };
+const platformLanguages = (item) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(PLATFORM_LABELS).map(p => [p, item]))
+});
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'payload_too_large', 'internal_error'] },
+          message: { type: 'string' },
+          details: {}
+        }
+      }
+    }
+  },
+  Brand: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      workspaceId: { type: 'integer' },
+      name: { type: 'string' },
+      description: nullableString,
+      timezone: { type: 'string', example: 'Europe/Berlin' },
+      publishMode: { type: 'string' },
+      generatorProvider: { type: 'string' },
+      telegramChannel: nullableString,
+      languages: platformLanguages({ type: 'array', items: { type: 'string' } }),
+      approvalRules: { type: 'object', description: 'Approvals needed per platform, plus "default"', additionalProperties: { type: 'integer' } },
+      postingRules: platformLanguages({
+        type: 'object',
+        properties: { slots: { type: 'array', items: { type: 'string', example: '10:00' } }, perDay: { type: 'integer', nullable: true }, minGapMinutes: { type: 'integer', nullable: true } }
+      }),
+      connected: { ...platformLanguages({ type: 'boolean' }), description: 'Which platforms have credentials; credentials are managed in the web UI' }
+    }
+  },
+  BrandInput: {
+    type: 'object',
+    description: 'On update, only the keys sent change.',
+    properties: {
+      workspaceId: { type: 'integer', description: 'Create only; service tokens default to their workspace' },
+      name: { type: 'string' },
+      description: nullableString,
+      timezone: { type: 'string' },
+      publishMode: { type: 'string' },
+      generatorProvider: { type: 'string' },
+      telegramChannel: nullableString,
+      languages: platformLanguages({ type: 'array', items: { type: 'string' } }),
+      approvalRules: { type: 'object', additionalProperties: { type: 'integer' } },
+      postingRules: { type: 'object' }
+    }
+  },
+  Document: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      brandId: { type: 'integer' },
+      name: { type: 'string' },
+      mimeType: nullableString,
+      uploadedAt: { type: 'string', format: 'date-time' },
+      indexStatus: { type: 'string', enum: ['pending', 'indexed', 'failed'] },
+      indexError: nullableString,
+      indexUpdatedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Media: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: nullableString,
+      mimeType: { type: 'string' },
+      size: { type: 'integer' },
+      width: { type: 'integer', nullable: true },
+      height: { type: 'integer', nullable: true },
+      duration: { type: 'number', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      url: { type: 'string', description: 'Signed link that expires' }
+    }
+  },
+  PostMedia: {
+    allOf: [ref('Media'), { type: 'object', properties: { altText: nullableString, caption: nullableString } }]
+  },
+  MediaItem: {
+    type: 'object',
+    required: ['mediaId'],
+    properties: { mediaId: { type: 'integer' }, altText: { type: 'string' }, caption: { type: 'string' } }
+  },
+  Post: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      brandId: { type: 'integer' },
+      campaignId: { type: 'integer', nullable: true },
+      platform: { type: 'string', enum: Object.keys(PLATFORM_LABELS) },
+      language: nullableString,
+      status: { type: 'string', enum: STATUSES },
+      isGenerating: { type: 'boolean' },
+      lastError: nullableString,
+      title: nullableString,
+      body: nullableString,
+      shortText: nullableString,
+      longText: nullableString,
+      caption: nullableString,
+      hashtags: { type: 'array', items: { type: 'string' } },
+      scheduleAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      media: { type: 'array', items: ref('PostMedia'), description: 'In order; the first one is the cover' }
+    }
+  },
+  PostInput: {
+    type: 'object',
+    required: ['platform'],
+    properties: {
+      platform: { type: 'string', enum: Object.keys(PLATFORM_LABELS) },
+      language: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string', description: 'The brief the generator works from' },
+      generate: { type: 'boolean', default: false, description: 'Let the generator write the content; the post is returned with isGenerating true' },
+      shortText: { type: 'string' },
+      longText: { type: 'string' },
+      caption: { type: 'string' },
+      hashtags: { type: 'array', items: { type: 'string' } },
+      scheduleAt: { type: 'string', format: 'date-time' },
+      media: { type: 'array', items: ref('MediaItem') }
+    }
+  },
+  PostEdit: {
+    type: 'object',
+    description: 'Only the keys sent change. "media" replaces the whole list.',
+    properties: {
+      title: nullableString,
+      shortText: nullableString,
+      longText: nullableString,
+      caption: nullableString,
+      hashtags: { type: 'array', items: { type: 'string' } },
+      media: { type: 'array', items: ref('MediaItem') }
+    }
+  }
+};
+
+const error = (description) => ({ description, ...json(ref('Error')) });
+
+function openApiSpec() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'SMM Admin API',
+      version: '1',
+      description: 'Create API tokens on the account page (personal) or a workspace page (service). ' +
+        'Every failure is returned as an Error object.'
+    },
+    servers: [{ url: '/api/v1' }],
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'Scopes: ' + Object.entries(API_SCOPES).map(([s, d]) => `${s} (${d})`).join('; ') }
+      },
+      responses: {
+        400: error('Invalid request, or not possible in the current state'),
+        401: error('Missing, invalid, expired or revoked token'),
+        403: error('The token lacks the scope, or the role does not allow it'),
+        404: error('Not found, or not visible to this token'),
+        409: error('Conflicts with the current state'),
+        413: error('Upload too large')
+      },
+      schemas
+    },
+    paths: {
+      '/brands': {
+        get: op('List brands', 'brands:read', { responses: { 200: { description: 'Brands', ...list('Brand') } } }),
+        post: op('Create a brand', 'brands:write', {
+          body: json(ref('BrandInput')),
+          responses: { 201: { description: 'Created', ...data(ref('Brand')) } }
+        })
+      },
+      '/brands/{id}': {
+        get: op('Get a brand', 'brands:read', { params: [brandId], responses: { 200: { description: 'Brand', ...data(ref('Brand')) } } }),
+        patch: op('Update a brand', 'brands:write', {
+          params: [brandId],
+          body: json(ref('BrandInput')),
+          responses: { 200: { description: 'Updated', ...data(ref('Brand')) } }
+        }),
+        delete: op('Delete a brand with its posts, media and documents', 'brands:write', { params: [brandId], responses: { 204: { description: 'Deleted' } } })
+      },
+      '/brands/{id}/documents': {
+        get: op('List RAG documents', 'documents:read', { params: [brandId], responses: { 200: { description: 'Documents', ...list('Document') } } }),
+        post: op('Upload a document and queue it for indexing', 'documents:write', {
+          params: [brandId],
+          body: { content: { 'multipart/form-data': { schema: { type: 'object', properties: { document: { type: 'string', format: 'binary' } } } } } },
+          responses: { 201: { description: 'Uploaded', ...data(ref('Document')) }, ...errors(413) }
+        })
+      },
+      '/brands/{id}/documents/reconcile': {
+        post: op('Compare the RAG store with the document list and fix statuses', 'documents:write', {
+          params: [brandId],
+          responses: {
+            200: {
+              description: 'Counts of what changed',
+              ...data({ type: 'object', properties: { indexed: { type: 'integer' }, missing: { type: 'integer' }, removed: { type: 'integer' }, unknown: { type: 'integer' } } })
+            }
+          }
+        })
+      },
+      '/brands/{id}/documents/{docId}/reindex': {
+        post: op('Queue a document for indexing again', 'documents:write', { params: [brandId, docId], responses: { 202: { description: 'Queued', ...data(ref('Document')) } } })
+      },
+      '/brands/{id}/documents/{docId}': {
+        delete: op('Delete a document here and in the RAG store', 'documents:write', { params: [brandId, docId], responses: { 204: { description: 'Deleted' } } })
+      },
+      '/brands/{id}/media': {
+        get: op('List library media', 'posts:read', {
+          params: [brandId, { name: 'kind', in: 'query', schema: { type: 'string', enum: ['image', 'video'] } }, ...pageParams],
+          responses: { 200: { description: 'Media, newest first', ...list('Media') } }
+        }),
+        post: op('Upload images or videos to the library', 'posts:write', {
+          params: [brandId],
+          body: { content: { 'multipart/form-data': { schema: { type: 'object', properties: { files: { type: 'array', items: { type: 'string', format: 'binary' } } } } } } },
+          responses: { 201: { description: 'Stored (existing files are reused)', ...list('Media') }, ...errors(413) }
+        })
+      },
+      '/brands/{id}/posts': {
+        get: op('List posts', 'posts:read', {
+          params: [brandId, { name: 'status', in: 'query', schema: { type: 'string', enum: STATUSES } }, { name: 'platform', in: 'query', schema: { type: 'string' } }, ...pageParams],
+          responses: { 200: { description: 'Posts, newest first', ...list('Post') } }
+        }),
+        post: op('Create a draft, optionally generated', 'posts:write', {
+          params: [brandId],
+          body: json(ref('PostInput')),
+          responses: { 201: { description: 'Created', ...data(ref('Post')) }, 202: { description: 'Created, generation queued', ...data(ref('Post')) } }
+        })
+      },
+      '/posts/{id}': {
+        get: op('Get a post', 'posts:read', { params: [postId], responses: { 200: { description: 'Post', ...data(ref('Post')) } } }),
+        patch: op('Edit a draft', 'posts:write', {
+          params: [postId],
+          body: json(ref('PostEdit')),
+          responses: { 200: { description: 'Updated', ...data(ref('Post')) } }
+        }),
+        delete: op('Delete a post that has not been published', 'posts:write', { params: [postId], responses: { 204: { description: 'Deleted' }, ...errors(409) } })
+      },
+      '/posts/{id}/generate': {
+        post: op('Regenerate the post or one field', 'posts:write', {
+          params: [postId],
+          body: json({ type: 'object', properties: { field: { type: 'string', enum: Object.keys(REGENERATE_FIELDS) }, instruction: { type: 'string' } } }),
+          responses: { 202: { description: 'Queued', ...data(ref('Post')) } }
+        })
+      },
+      '/posts/{id}/transitions/{action}': {
+        post: op('Submit, withdraw, request changes or reopen', 'posts:publish', {
+          params: [postId, { name: 'action', in: 'path', required: true, schema: { type: 'string', enum: ['submit', 'withdraw', 'request_changes', 'reopen'] } }],
+          body: json({ type: 'object', properties: { note: { type: 'string', description: 'Required for request_changes' } } }),
+          responses: { 200: { description: 'Moved', ...data(ref('Post')) }, ...errors(409) }
+        })
+      },
+      '/posts/{id}/approve': {
+        post: op('Approve a post in review (personal tokens only)', 'posts:publish', {
+          params: [postId],
+          body: json({ type: 'object', properties: { nextSlot: { type: 'boolean', description: 'Schedule into the next free posting slot' } } }),
+          responses: {
+            200: {
+              description: 'Approval recorded; the post moves on once enough approvals are in',
+              ...json({ type: 'object', properties: { data: ref('Post'), approvals: { type: 'integer', nullable: true }, required: { type: 'integer', nullable: true } } })
+            }
+          }
+        })
+      },
+      '/posts/{id}/schedule': {
+        post: op('Set or move the publishing time', 'posts:publish', {
+          params: [postId],
+          body: json({ type: 'object', required: ['scheduleAt'], properties: { scheduleAt: { type: 'string', format: 'date-time' } } }),
+          responses: {
+            200: {
+              description: 'Rescheduled',
+              ...json({ type: 'object', properties: { data: ref('Post'), warnings: { type: 'array', items: { type: 'string' } } } })
+            }
+          }
+        })
+      }
+    }
+  };
+}
+
+module.exports = { openApiSpec };
@@ -0,0 +1,79 @@
+const sharp = require('sharp');
+
+const UNKNOWN = { width: null, height: null, duration: null };
+
+// Top-level boxes of an ISO media file (MP4/MOV) between start and end.
+function boxes(buffer, start = 0, end = buffer.length) {
+  const found = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    let header = 8;
+    if (size === 1 && pos + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) break;
+    found.push({ type: buffer.toString('latin1', pos + 4, pos + 8), start: pos + header, end: pos + size });
+    pos += size;
+  }
+  return found;
+}
+
+const child = (buffer, box, type) => box && boxes(buffer, box.start, box.end).find(b => b.type === type);
+
+// Duration from moov/mvhd, frame size from the video track's tkhd. A track
+// rotated by 90° (phone footage) has its width and height swapped.
+function probeMp4(buffer) {
+  const moov = boxes(buffer).find(b => b.type === 'moov');
+  const mvhd = child(buffer, moov, 'mvhd');
+  if (!mvhd) return UNKNOWN;
+
+  const v1 = buffer[mvhd.start] === 1;
+  const timescale = buffer.readUInt32BE(mvhd.start + (v1 ? 20 : 12));
+  const units = v1 ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) : buffer.readUInt32BE(mvhd.start + 16);
+  const result = { ...UNKNOWN, duration: timescale ? units / timescale : null };
+
+  for (const trak of boxes(buffer, moov.start, moov.end).filter(b => b.type === 'trak')) {
+    const hdlr = child(buffer, child(buffer, trak, 'mdia'), 'hdlr');
+    const tkhd = child(buffer, trak, 'tkhd');
+    if (!hdlr || !tkhd || buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'vide') continue;
+
+    const width = Math.round(buffer.readUInt32BE(tkhd.end - 8) / 65536);
+    const height = Math.round(buffer.readUInt32BE(tkhd.end - 4) / 65536);
+    const matrix = tkhd.end - 8 - 36;
+    const rotated = buffer.readInt32BE(matrix) === 0 && Math.abs(buffer.readInt32BE(matrix + 4)) === 65536;
+    return { ...result, width: rotated ? height : width, height: rotated ? width : height };
+  }
+  return result;
+}
+
+// Reads { width, height, duration } (seconds) from the file itself; values that
+// cannot be read are null. Throws when an image cannot be decoded at all.
+async function probeMedia(buffer, mimeType) {
+  if (mimeType.startsWith('image/')) {
+    let meta;
+    try {
+      meta = await sharp(buffer).metadata();
+    } catch (e) {
+      throw new Error(`Image could not be read: ${e.message}`);
+    }
+    // EXIF orientations 5-8 are shown rotated by 90°.
+    const rotated = meta.orientation >= 5;
+    const height = meta.pageHeight || meta.height;
+    return { width: rotated ? height : meta.width, height: rotated ? meta.width : height, duration: null };
+  }
+
+  if (mimeType === 'video/mp4' || mimeType === 'video/quicktime') {
+    try {
+      return probeMp4(buffer);
+    } catch (e) {
+      return UNKNOWN;
+    }
+  }
+  return UNKNOWN;
+}
+
+module.exports = { probeMedia };
@@ -0,0 +1,179 @@
+const prisma = require('./db');
+const { enqueue } = require('./queue');
+const { notifyPost } = require('./live');
+const { applyTransition } = require('./workflow');
+const { emitPostEvent } = require('./webhooks');
+
+// A post still generating after this long, or scheduled this long ago and not
+// published, is listed as a problem. The scheduler runs every minute.
+const GENERATION_STUCK_AFTER_MS = 15 * 60 * 1000;
+const OVERDUE_AFTER_MS = 10 * 60 * 1000;
+
+const GENERATION_FAILED_PREFIX = 'Generation failed: ';
+
+const PROBLEM_LABELS = {
+  failed: 'Publishing failed',
+  retrying: 'Publishing retrying',
+  generation_failed: 'Generation failed',
+  generating: 'Stuck generating',
+  overdue: 'Overdue',
+};
+
+// The queue's jobs for one post.
+const jobsFor = (type, postId) => ({ type, payload: { path: ['postId'], equals: postId } });
+
+function latestJob(type, postId, client = prisma) {
+  return client.job.findFirst({ where: jobsFor(type, postId), orderBy: { id: 'desc' } });
+}
+
+// Every post in the given workspaces that needs a person to look at it, oldest
+// problem first, as { post, kind, since, error, job, actions }.
+async function findProblems(workspaceIds) {
+  const now = Date.now();
+  const posts = await prisma.post.findMany({
+    where: {
+      brand: { workspaceId: { in: workspaceIds } },
+      OR: [
+        { status: 'failed' },
+        { status: 'publishing', lastError: { not: null } },
+        { isGenerating: true },
+        { lastError: { startsWith: GENERATION_FAILED_PREFIX } },
+        { status: 'scheduled', scheduleAt: { lt: new Date(now - OVERDUE_AFTER_MS) } },
+        { status: 'approved' }
+      ]
+    },
+    include: {
+      brand: { select: { id: true, name: true, workspaceId: true, timezone: true } },
+      transitions: { orderBy: { createdAt: 'desc' }, take: 1 }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const problems = [];
+  for (const post of posts) {
+    const changedAt = post.transitions[0] ? post.transitions[0].createdAt : post.createdAt;
+    let problem = null;
+
+    if (post.isGenerating) {
+      const job = await latestJob('generate-post', post.id);
+      const active = job && ['queued', 'running'].includes(job.status) ? job : null;
+      const since = active ? active.createdAt : changedAt;
+      if (!active || active.lastError || now - since.getTime() > GENERATION_STUCK_AFTER_MS) {
+        problem = { kind: 'generating', since, error: job && job.lastError, job };
+      }
+    } else if (post.status === 'failed') {
+      problem = { kind: 'failed', since: changedAt, error: post.lastError, job: await latestJob('publish-post', post.id) };
+    } else if (post.status === 'publishing' && post.lastError) {
+      // An attempt failed and the queue will try again.
+      problem = { kind: 'retrying', since: changedAt, error: post.lastError, job: await latestJob('publish-post', post.id) };
+    } else if (post.status === 'scheduled' || post.status === 'approved') {
+      // Approved posts without a future slot are queued for publishing right away.
+      const due = post.status === 'scheduled' ? post.scheduleAt : new Date(Math.max(changedAt, post.scheduleAt || 0));
+      if (now - due.getTime() > OVERDUE_AFTER_MS) {
+        const job = await latestJob('publish-post', post.id);
+        problem = { kind: 'overdue', since: due, error: job && job.lastError, job };
+      }
+    }
+    if (!problem && post.lastError && post.lastError.startsWith(GENERATION_FAILED_PREFIX)) {
+      problem = { kind: 'generation_failed', since: changedAt, error: post.lastError, job: await latestJob('generate-post', post.id) };
+    }
+
+    if (problem) problems.push({ post, ...problem, actions: problemActions(post, problem) });
+  }
+  return problems.sort((a, b) => a.since - b.since);
+}
+
+function problemActions(post, { kind, job }) {
+  const queued = job && job.status === 'queued';
+  switch (kind) {
+    case 'failed':
+    case 'overdue':
+      return ['retry_publish', 'reschedule', 'reopen'].concat(queued ? ['cancel'] : []);
+    case 'retrying':
+      return queued ? ['retry_publish', 'cancel'] : [];
+    case 'generating':
+    case 'generation_failed':
+      return ['retry_generation', 'cancel'];
+    default: return [];
+  }
+}
+
+function logAction(tx, post, action, userId, note = null) {
+  return tx.postTransition.create({
+    data: { postId: post.id, action, fromStatus: post.status, toStatus: post.status, userId, note }
+  });
+}
+
+// Drops the post's queued jobs of that type so they never run.
+function dropQueuedJobs(tx, type, postId, reason) {
+  return tx.job.updateMany({
+    where: { ...jobsFor(type, postId), status: 'queued' },
+    data: { status: 'dead', lastError: reason }
+  });
+}
+
+// Publishes now: a queued retry is moved up, otherwise a new job is queued.
+async function retryPublish(post, userId) {
+  if (!['failed', 'approved', 'scheduled', 'publishing'].includes(post.status)) throw new Error(`Cannot publish a post that is ${post.status.replace('_', ' ')}`);
+
+  await prisma.$transaction(async (tx) => {
+    if (await tx.job.count({ where: { ...jobsFor('publish-post', post.id), status: 'running' } })) {
+      throw new Error('The post is being published right now');
+    }
+    const moved = await tx.job.updateMany({
+      where: { ...jobsFor('publish-post', post.id), status: 'queued' },
+      data: { runAt: new Date() }
+    });
+    if (!moved.count) await enqueue('publish-post', { postId: post.id }, { tx });
+    await logAction(tx, post, 'retry_publish', userId, post.lastError ? `Last error: ${post.lastError}` : null);
+  });
+  await notifyPost(post, 'retry_publish');
+}
+
+// Starts the generation over, with the same options (a regenerated field, the
+// reviewer's instruction) as the attempt that failed.
+async function retryGeneration(post, userId) {
+  const last = await latestJob('generate-post', post.id);
+  if (last && last.status === 'running') throw new Error('The post is being generated right now');
+  const payload = last ? { ...last.payload, userId } : { postId: post.id };
+
+  await prisma.$transaction(async (tx) => {
+    await dropQueuedJobs(tx, 'generate-post', post.id, 'Replaced by a manual retry');
+    await tx.post.update({ where: { id: post.id }, data: { isGenerating: true, lastError: null } });
+    await enqueue('generate-post', payload, { tx, maxAttempts: 3 });
+    await logAction(tx, post, 'retry_generation', userId, post.lastError || (last && last.lastError) || null);
+  });
+  await notifyPost(post, 'retry_generation');
+}
+
+// Stops whatever the queue would still do for the post: pending generation (which
+// also clears a generation error) or publishing retries. The post keeps its status,
+// except that a post whose publishing retries are dropped has failed.
+async function cancelPending(post, userId) {
+  await prisma.$transaction(async (tx) => {
+    const generation = await dropQueuedJobs(tx, 'generate-post', post.id, 'Cancelled');
+    const publishing = await dropQueuedJobs(tx, 'publish-post', post.id, 'Cancelled');
+    const generationProblem = post.isGenerating || (post.lastError || '').startsWith(GENERATION_FAILED_PREFIX);
+    if (!generation.count && !publishing.count && !generationProblem) throw new Error('Nothing is pending for this post');
+
+    if (generationProblem) {
+      await tx.post.update({ where: { id: post.id }, data: { isGenerating: false, lastError: null } });
+    }
+    const stopped = [generation.count || generationProblem ? 'generation' : null, publishing.count ? 'publishing retries' : null].filter(Boolean);
+    await logAction(tx, post, 'cancel', userId, `Stopped ${stopped.join(' and ')}`);
+    if (publishing.count && post.status === 'publishing') {
+      const failed = await applyTransition(tx, post, 'fail', { userId, note: 'Publishing retries cancelled' });
+      await emitPostEvent(tx, 'post.failed', failed, { previousStatus: post.status });
+    }
+  });
+  await notifyPost(post, 'cancel');
+}
+
+module.exports = {
+  PROBLEM_LABELS,
+  GENERATION_FAILED_PREFIX,
+  findProblems,
+  retryPublish,
+  retryGeneration,
+  cancelPending,
+};
@@ -0,0 +1,35 @@
+function withHashtags(text, hashtags) {
+  const tags = (hashtags || []).filter(Boolean).join(' ');
+  if (!tags) return text || '';
+  return text ? `${text}\n\n${tags}` : tags;
+}
+
+// options.media is the post's media list, loaded by the caller in order:
+// [{ buffer, filename, mimeType, altText, caption, url }]. url is an absolute
+// link for platforms that fetch the file themselves, or null. Videos are not
+// sent as images.
+function postImages(options) {
+  return (options.media || []).filter(item => item.mimeType.startsWith('image/'));
+}
+
+// Wraps an axios failure so callers get the platform's own error text and the HTTP status.
+function publishError(platform, err) {
+  if (!err.response) {
+    const e = new Error(`${platform}: ${err.message}`);
+    e.httpStatus = null;
+    return e;
+  }
+
+  const data = err.response.data || {};
+  const detail = (data.error && (data.error.message || data.error))
+    || data.description
+    || data.message
+    || err.message;
+
+  const e = new Error(`${platform}: HTTP ${err.response.status} ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  e.httpStatus = err.response.status;
+  e.responseData = data;
+  return e;
+}
+
+module.exports = { withHashtags, postImages, publishError };
@@ -0,0 +1,62 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { withHashtags, postImages, publishError } = require('./content');
+
+function graphUrl(pathname) {
+  return `${process.env.GRAPH_API_URL || 'https://graph.facebook.com/v24.0'}/${pathname}`;
+}
+
+// fields: caption, published, ... as the /photos endpoint takes them.
+function uploadPhoto(pageId, token, image, fields, timeout) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  if (image.altText) form.append('alt_text_custom', image.altText);
+  form.append('access_token', token);
+  form.append('source', image.buffer, { filename: image.filename });
+  return axios.post(graphUrl(`${pageId}/photos`), form, {
+    headers: form.getHeaders(),
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout
+  });
+}
+
+async function publish({ post, credentials, options }) {
+  const creds = credentials.facebook;
+  const pageId = creds && (creds.page_id || creds.pageId);
+  if (!pageId) throw new Error('facebook: credentials are missing page_id');
+  if (!creds.access_token) throw new Error('facebook: no access token for this brand');
+
+  const message = withHashtags(post.caption || post.shortText || post.longText || post.body, post.hashtags);
+  const images = postImages(options);
+
+  try {
+    let r;
+    if (images.length === 1) {
+      r = await uploadPhoto(pageId, creds.access_token, images[0], { caption: message }, options.timeout);
+    } else {
+      // Several photos are uploaded unpublished and attached to one feed post.
+      const params = new URLSearchParams({ message, access_token: creds.access_token });
+      for (const [i, image] of images.entries()) {
+        const photo = await uploadPhoto(pageId, creds.access_token, image, {
+          published: 'false',
+          ...(image.caption ? { caption: image.caption } : {})
+        }, options.timeout);
+        params.append(`attached_media[${i}]`, JSON.stringify({ media_fbid: photo.data.id }));
+      }
+      r = await axios.post(graphUrl(`${pageId}/feed`), params.toString(), { timeout: options.timeout });
+    }
+
+    const remoteId = r.data.post_id || r.data.id;
+    return {
+      remoteId: remoteId ? String(remoteId) : null,
+      url: remoteId ? `https://www.facebook.com/${remoteId}` : null,
+      httpStatus: r.status,
+      response: r.data
+    };
+  } catch (err) {
+    throw publishError('facebook', err);
+  }
+}
+
+module.exports = { platform: 'facebook', publish };
@@ -0,0 +1,33 @@
+const telegram = require('./telegram');
+const wordpress = require('./wordpress');
+const facebook = require('./facebook');
+const instagram = require('./instagram');
+
+const ADAPTERS = {
+  telegram,
+  wordpress,
+  facebook,
+  instagram,
+};
+
+const PUBLISH_MODES = ['n8n', 'native'];
+
+function hasNativeAdapter(platform) {
+  return Boolean(ADAPTERS[platform]);
+}
+
+// brand must already carry decrypted credentials; credentials.instagram/facebook
+// include the brand's current access_token.
+async function publishNative(post, brand, credentials, options = {}) {
+  const adapter = ADAPTERS[post.platform];
+  if (!adapter) throw new Error(`No native publisher for platform "${post.platform}"`);
+
+  return adapter.publish({
+    post,
+    brand,
+    credentials,
+    options: { timeout: 30000, ...options }
+  });
+}
+
+module.exports = { ADAPTERS, PUBLISH_MODES, hasNativeAdapter, publishNative };
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const { withHashtags, postImages, publishError } = require('./content');
+
+function graphUrl(pathname) {
+  return `${process.env.GRAPH_API_URL || 'https://graph.facebook.com/v24.0'}/${pathname}`;
+}
+
+async function createContainer(igUserId, token, fields, timeout) {
+  const r = await axios.post(graphUrl(`${igUserId}/media`), new URLSearchParams({
+    ...fields,
+    access_token: token
+  }).toString(), { timeout });
+  if (!r.data.id) throw new Error('instagram: no container id in /media response');
+  return r.data.id;
+}
+
+const imageFields = (image) => ({ image_url: image.url, ...(image.altText ? { alt_text: image.altText } : {}) });
+
+async function publish({ post, credentials, options }) {
+  const creds = credentials.instagram;
+  const igUserId = creds && (creds.ig_user_id || creds.igUserId);
+  if (!igUserId) throw new Error('instagram: credentials are missing ig_user_id');
+  if (!creds.access_token) throw new Error('instagram: no access token for this brand');
+
+  const images = postImages(options);
+  if (!images.length) throw new Error('instagram: an image is required');
+  // The /media endpoint only takes an image_url, so Meta fetches each file through a signed link.
+  if (images.some(image => !image.url)) throw new Error('instagram: PUBLIC_BASE_URL is required to publish images');
+
+  const caption = withHashtags(post.caption || post.shortText || post.longText || post.body, post.hashtags);
+  const token = creds.access_token;
+
+  try {
+    let containerId;
+    if (images.length === 1) {
+      containerId = await createContainer(igUserId, token, { ...imageFields(images[0]), caption }, options.timeout);
+    } else {
+      // A carousel: one container per item, then a parent that carries the caption.
+      const children = [];
+      for (const image of images) {
+        children.push(await createContainer(igUserId, token, { ...imageFields(image), is_carousel_item: 'true' }, options.timeout));
+      }
+      containerId = await createContainer(igUserId, token, {
+        media_type: 'CAROUSEL',
+        children: children.join(','),
+        caption
+      }, options.timeout);
+    }
+
+    const published = await axios.post(graphUrl(`${igUserId}/media_publish`), new URLSearchParams({
+      creation_id: containerId,
+      access_token: token
+    }).toString(), { timeout: options.timeout });
+
+    const mediaId = published.data.id;
+    let url = null;
+    try {
+      const media = await axios.get(graphUrl(mediaId), {
+        params: { fields: 'permalink', access_token: token },
+        timeout: options.timeout
+      });
+      url = media.data.permalink || null;
+    } catch (e) {
+      console.warn(`instagram: could not fetch permalink for media ${mediaId}:`, e.message);
+    }
+
+    return {
+      remoteId: mediaId ? String(mediaId) : null,
+      url,
+      httpStatus: published.status,
+      response: { container_id: containerId, id: mediaId }
+    };
+  } catch (err) {
+    if (!err.response && err.message.startsWith('instagram:')) throw err;
+    throw publishError('instagram', err);
+  }
+}
+
+module.exports = { platform: 'instagram', publish };
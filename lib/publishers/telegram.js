@@ -0,0 +1,72 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { withHashtags, postImages, publishError } = require('./content');
+
+// Telegram rejects photo captions above 1024 characters; longer posts go out as a message.
+const PHOTO_CAPTION_LIMIT = 1024;
+const MEDIA_GROUP_LIMIT = 10;
+
+function apiUrl(method) {
+  const base = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+  return `${base}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`;
+}
+
+function permalink(chatId, messageId) {
+  if (typeof chatId === 'string' && chatId.startsWith('@')) return `https://t.me/${chatId.slice(1)}/${messageId}`;
+  return null;
+}
+
+function normalizeChannel(channel) {
+  const trimmed = String(channel).trim();
+  const fromUrl = trimmed.match(/t\.me\/([A-Za-z0-9_]+)/);
+  if (fromUrl) return '@' + fromUrl[1];
+  return trimmed;
+}
+
+async function publish({ post, brand, options }) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) throw new Error('telegram: TELEGRAM_BOT_TOKEN is not set');
+  if (!brand.telegramChannel) throw new Error('telegram: brand has no telegram channel');
+
+  const chatId = normalizeChannel(brand.telegramChannel);
+  const text = withHashtags(post.longText || post.body, post.hashtags);
+  const images = postImages(options).slice(0, MEDIA_GROUP_LIMIT);
+  const upload = { headers: null, maxContentLength: Infinity, maxBodyLength: Infinity, timeout: options.timeout };
+
+  try {
+    let r;
+    if (images.length > 1 && text.length <= PHOTO_CAPTION_LIMIT) {
+      // A media group shows the first item's caption as the post text; the
+      // other items keep their own captions.
+      const form = new FormData();
+      form.append('chat_id', chatId);
+      form.append('media', JSON.stringify(images.map((image, i) => ({
+        type: 'photo',
+        media: `attach://photo${i}`,
+        caption: i === 0 ? text : (image.caption || undefined)
+      }))));
+      images.forEach((image, i) => form.append(`photo${i}`, image.buffer, { filename: image.filename }));
+      r = await axios.post(apiUrl('sendMediaGroup'), form, { ...upload, headers: form.getHeaders() });
+    } else if (images.length && text.length <= PHOTO_CAPTION_LIMIT) {
+      const form = new FormData();
+      form.append('chat_id', chatId);
+      form.append('caption', text);
+      form.append('photo', images[0].buffer, { filename: images[0].filename });
+      r = await axios.post(apiUrl('sendPhoto'), form, { ...upload, headers: form.getHeaders() });
+    } else {
+      r = await axios.post(apiUrl('sendMessage'), { chat_id: chatId, text }, { timeout: options.timeout });
+    }
+
+    const result = r.data.result;
+    const message = (Array.isArray(result) ? result[0] : result) || {};
+    return {
+      remoteId: message.message_id ? String(message.message_id) : null,
+      url: message.message_id ? permalink(chatId, message.message_id) : null,
+      httpStatus: r.status,
+      response: r.data
+    };
+  } catch (err) {
+    throw publishError('telegram', err);
+  }
+}
+
+module.exports = { platform: 'telegram', publish };
@@ -0,0 +1,72 @@
+const axios = require('axios');
+const { postImages, publishError } = require('./content');
+
+function authHeader(creds) {
+  const user = creds.user || creds.username;
+  const pass = creds.pass || creds.password;
+  return 'Basic ' + Buffer.from(`${user}:${pass}`).toString('base64');
+}
+
+// Alt text and caption are set on the attachment, so the theme and the gallery use them.
+async function uploadImage(baseUrl, creds, image, timeout) {
+  const r = await axios.post(`${baseUrl}/wp-json/wp/v2/media`, image.buffer, {
+    headers: {
+      Authorization: authHeader(creds),
+      'Content-Type': image.mimeType,
+      'Content-Disposition': `attachment; filename="${image.filename}"`
+    },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout
+  });
+
+  if (image.altText || image.caption) {
+    await axios.post(`${baseUrl}/wp-json/wp/v2/media/${r.data.id}`, {
+      alt_text: image.altText || '',
+      caption: image.caption || ''
+    }, {
+      headers: { Authorization: authHeader(creds), 'Content-Type': 'application/json' },
+      timeout
+    });
+  }
+  return r.data.id;
+}
+
+async function publish({ post, credentials, options }) {
+  const creds = credentials.wordpress;
+  if (!creds || !creds.url) throw new Error('wordpress: credentials are not configured');
+
+  const baseUrl = creds.url.replace(/\/+$/, '');
+  const images = postImages(options);
+
+  try {
+    const payload = {
+      title: post.title || '',
+      content: post.caption || post.longText || post.body || '',
+      status: 'publish'
+    };
+
+    // The first image is the featured image; with more than one, all of them
+    // follow the text as a gallery.
+    const ids = [];
+    for (const image of images) ids.push(await uploadImage(baseUrl, creds, image, options.timeout));
+    if (ids.length) payload.featured_media = ids[0];
+    if (ids.length > 1) payload.content += `\n\n[gallery ids="${ids.join(',')}"]`;
+
+    const r = await axios.post(`${baseUrl}/wp-json/wp/v2/posts`, payload, {
+      headers: { Authorization: authHeader(creds), 'Content-Type': 'application/json' },
+      timeout: options.timeout
+    });
+
+    return {
+      remoteId: r.data.id ? String(r.data.id) : null,
+      url: r.data.link || null,
+      httpStatus: r.status,
+      response: { id: r.data.id, link: r.data.link, status: r.data.status }
+    };
+  } catch (err) {
+    throw publishError('wordpress', err);
+  }
+}
+
+module.exports = { platform: 'wordpress', publish };
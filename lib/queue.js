@@ -0,0 +1,154 @@
+const os = require('os');
+const prisma = require('./db');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const POLL_INTERVAL_MS = 2000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// Workers refresh the lock of the job they run this often; a job whose lock has
+// not been refreshed for STALE_AFTER_MS belongs to a worker that died.
+const HEARTBEAT_MS = 60 * 1000;
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+async function enqueue(type, payload, opts = {}) {
+  const client = opts.tx || prisma;
+  const data = {
+    type,
+    payload,
+    runAt: opts.runAt || new Date(),
+    maxAttempts: opts.maxAttempts || 5,
+    dedupeKey: opts.dedupeKey || null
+  };
+
+  if (!opts.dedupeKey) return client.job.create({ data });
+
+  try {
+    return await client.job.create({ data });
+  } catch (err) {
+    if (err.code === 'P2002') return null;
+    throw err;
+  }
+}
+
+async function claimJob() {
+  const rows = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET "status" = 'running', "lockedAt" = NOW(), "lockedBy" = ${WORKER_ID},
+        "attempts" = "attempts" + 1, "updatedAt" = NOW()
+    WHERE "id" = (
+      SELECT "id" FROM "Job"
+      WHERE "status" = 'queued' AND "runAt" <= NOW()
+      ORDER BY "runAt", "id"
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *`;
+  return rows[0] || null;
+}
+
+// Updates only a job this worker still holds. A job that was requeued as stale
+// meanwhile belongs to whoever claimed it next, so a late result is dropped.
+async function releaseJob(job, data) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: 'running', lockedBy: WORKER_ID },
+    data: { ...data, lockedAt: null, lockedBy: null }
+  });
+  if (!count) console.warn(`⚠️ Job ${job.id} (${job.type}) lost its lock, result dropped`);
+  return count > 0;
+}
+
+function completeJob(job) {
+  return releaseJob(job, { status: 'done', lastError: null });
+}
+
+// Errors flagged `permanent` (bad input, malformed responses) would fail the same
+// way on every retry, so they go straight to dead. Returns 'dead' or 'retry', or
+// null when the job is no longer ours.
+async function failJob(job, err) {
+  const dead = Boolean(err.permanent) || job.attempts >= job.maxAttempts;
+  const released = await releaseJob(job, {
+    status: dead ? 'dead' : 'queued',
+    runAt: dead ? job.runAt : new Date(Date.now() + backoffDelay(job.attempts)),
+    lastError: err.message
+  });
+  if (!released) return null;
+  return dead ? 'dead' : 'retry';
+}
+
+function refreshLock(job) {
+  return prisma.job.updateMany({
+    where: { id: job.id, status: 'running', lockedBy: WORKER_ID },
+    data: { lockedAt: new Date() }
+  });
+}
+
+// Only locks nobody has refreshed lately are taken back: another process on the
+// same host may well be alive and still running its job.
+async function recoverStaleJobs() {
+  const { count } = await prisma.job.updateMany({
+    where: { status: 'running', lockedAt: { lt: new Date(Date.now() - STALE_AFTER_MS) } },
+    data: { status: 'queued', lockedAt: null, lockedBy: null, runAt: new Date() }
+  });
+  if (count) console.log(`♻️ Requeued ${count} stale job(s)`);
+  return count;
+}
+
+// handlers: { [type]: { run(payload, job), onRetry?(payload, job, err), onDead?(payload, job, err) } }
+function startWorker(handlers) {
+  let stopped = false;
+  let lastRecovery = 0;
+
+  async function tick() {
+    if (Date.now() - lastRecovery > STALE_AFTER_MS / 2) {
+      lastRecovery = Date.now();
+      await recoverStaleJobs();
+    }
+
+    let job;
+    while (!stopped && (job = await claimJob())) {
+      const handler = handlers[job.type];
+      const current = job;
+      const heartbeat = setInterval(() => {
+        refreshLock(current).catch(e => console.error(`Job ${current.id} heartbeat failed:`, e.message));
+      }, HEARTBEAT_MS);
+      try {
+        if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+        await handler.run(job.payload, job);
+        clearInterval(heartbeat);
+        await completeJob(job);
+      } catch (err) {
+        clearInterval(heartbeat);
+        const outcome = await failJob(job, err);
+        console.error(`❌ Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed:`, err.message);
+        const hook = handler && outcome && (outcome === 'dead' ? handler.onDead : handler.onRetry);
+        if (hook) {
+          await Promise.resolve(hook(job.payload, job, err))
+            .catch(e => console.error(`Job ${job.id} ${outcome === 'dead' ? 'dead-letter' : 'retry'} hook failed:`, e.message));
+        }
+      }
+    }
+  }
+
+  async function loop() {
+    if (stopped) return;
+    try {
+      await tick();
+    } catch (err) {
+      console.error('Queue worker error', err);
+    }
+    setTimeout(loop, POLL_INTERVAL_MS);
+  }
+
+  recoverStaleJobs()
+    .catch(err => console.error('Stale job recovery failed', err))
+    .finally(loop);
+
+  return { stop: () => { stopped = true; } };
+}
+
+module.exports = { WORKER_ID, enqueue, recoverStaleJobs, startWorker, backoffDelay };
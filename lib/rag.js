@@ -0,0 +1,155 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const path = require('path');
+const prisma = require('./db');
+const { enqueue } = require('./queue');
+const { readMedia } = require('./media');
+const { driverFor } = require('./storage');
+
+// The RAG store sits behind n8n webhooks:
+//   N8N_UPLOAD_RAG_URL           multipart rag_docs[], brandId, documentId; replaces
+//                                whatever is stored under that documentId
+//   N8N_DELETE_RAG_URL           { brandId }: drops all of a brand's documents
+//   N8N_DELETE_RAG_DOCUMENT_URL  { brandId, documentId, filename }: drops one
+//   N8N_LIST_RAG_URL             { brandId } -> [{ documentId, filename }] or { documents: [...] }
+const RAG_TIMEOUT_MS = 60 * 1000;
+
+function webhookUrl(name) {
+  const url = process.env[name];
+  if (!url) {
+    const err = new Error(`${name} is not set`);
+    err.permanent = true;
+    throw err;
+  }
+  return url;
+}
+
+async function callRag(name, body, headers) {
+  try {
+    const r = await axios.post(webhookUrl(name), body, {
+      headers,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: RAG_TIMEOUT_MS
+    });
+    return r.data;
+  } catch (err) {
+    if (err.permanent) throw err;
+    const status = err.response && err.response.status;
+    const wrapped = new Error(`RAG request failed${status ? ` with HTTP ${status}` : ''}: ${err.message}`);
+    wrapped.permanent = Boolean(status && status >= 400 && status < 500 && status !== 408 && status !== 429);
+    throw wrapped;
+  }
+}
+
+function setIndexStatus(documentId, indexStatus, indexError = null) {
+  return prisma.brandDocument.updateMany({
+    where: { id: documentId },
+    data: { indexStatus, indexError, indexUpdatedAt: new Date() }
+  });
+}
+
+// Marks the document pending and queues it for (re-)indexing; the queue retries
+// failed uploads with backoff.
+async function queueIndexing(documentId, tx) {
+  await (tx || prisma).brandDocument.update({
+    where: { id: documentId },
+    data: { indexStatus: 'pending', indexError: null, indexUpdatedAt: new Date() }
+  });
+  return enqueue('rag-upload', { documentId }, { tx });
+}
+
+// The 'rag-upload' job. A failed attempt keeps the document pending with the
+// error; markIndexFailed runs once the queue gives up.
+async function indexDocument(documentId) {
+  const doc = await prisma.brandDocument.findUnique({ where: { id: documentId }, include: { brand: true, media: true } });
+  if (!doc) {
+    console.warn(`Document ${documentId} no longer exists, skipping RAG upload`);
+    return;
+  }
+
+  try {
+    const form = new FormData();
+    // Documents uploaded before the media library are plain files in uploads/.
+    const buffer = doc.media ? await readMedia(doc.media) : await driverFor('local').get(path.basename(doc.filename));
+    form.append('rag_docs[]', buffer, { filename: doc.originalName, contentType: doc.mime || undefined });
+    form.append('brandId', doc.brandId);
+    form.append('documentId', doc.id);
+    await callRag('N8N_UPLOAD_RAG_URL', form, form.getHeaders());
+  } catch (err) {
+    await setIndexStatus(doc.id, 'pending', err.message);
+    throw err;
+  }
+
+  await setIndexStatus(doc.id, 'indexed');
+  console.log(`✅ Документ ${doc.originalName} отправлен в RAG для бренда ${doc.brand.name}`);
+}
+
+function markIndexFailed(documentId, err) {
+  return setIndexStatus(documentId, 'failed', err.message);
+}
+
+// The 'rag-delete' job, queued when a single document is deleted here.
+async function removeDocument({ brandId, documentId, filename }) {
+  await callRag('N8N_DELETE_RAG_DOCUMENT_URL', { brandId, documentId, filename });
+  console.log(`🗑️ Документ ${filename} (${documentId}) удалён из RAG бренда ${brandId}`);
+}
+
+function removeBrandDocuments(brandId) {
+  return callRag('N8N_DELETE_RAG_URL', { brandId });
+}
+
+// What the RAG store holds for the brand, as [{ documentId, filename }].
+// documentId is null for documents sent before ids were passed along.
+async function listRagDocuments(brandId) {
+  const data = await callRag('N8N_LIST_RAG_URL', { brandId });
+  const list = Array.isArray(data) ? data : data && data.documents;
+  if (!Array.isArray(list)) throw new Error('RAG store returned no document list');
+  return list.map(entry => ({
+    documentId: entry.documentId != null ? parseInt(entry.documentId) : null,
+    filename: entry.filename || entry.originalName || null
+  }));
+}
+
+// Compares the RAG store with our documents: found ones become indexed, indexed
+// ones the store lost become failed, and documents the store has that we deleted
+// are queued for removal. Pending documents are left to their jobs.
+async function reconcileDocuments(brandId) {
+  const [stored, docs] = await Promise.all([
+    listRagDocuments(brandId),
+    prisma.brandDocument.findMany({ where: { brandId } })
+  ]);
+
+  const found = new Set();
+  const unknown = [];
+  for (const entry of stored) {
+    const doc = entry.documentId !== null
+      ? docs.find(d => d.id === entry.documentId)
+      : docs.find(d => d.originalName === entry.filename);
+    if (doc) found.add(doc.id);
+    else unknown.push(entry);
+  }
+
+  const result = { indexed: 0, missing: 0, removed: 0, unknown: 0 };
+  for (const doc of docs) {
+    if (doc.indexStatus === 'pending') continue;
+    if (found.has(doc.id) && doc.indexStatus !== 'indexed') {
+      await setIndexStatus(doc.id, 'indexed');
+      result.indexed++;
+    } else if (!found.has(doc.id) && doc.indexStatus === 'indexed') {
+      await setIndexStatus(doc.id, 'failed', 'Not found in the RAG store');
+      result.missing++;
+    }
+  }
+  for (const entry of unknown) {
+    if (entry.documentId === null) {
+      result.unknown++;
+      continue;
+    }
+    await enqueue('rag-delete', { brandId, documentId: entry.documentId, filename: entry.filename });
+    result.removed++;
+  }
+  return result;
+}
+
+module.exports = { queueIndexing, indexDocument, markIndexFailed, removeDocument, removeBrandDocuments, reconcileDocuments };
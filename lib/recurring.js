@@ -0,0 +1,134 @@
+const prisma = require('./db');
+const { enqueue } = require('./queue');
+const { isValidTimezone, zonedParts, zonedTimeToUtc } = require('./timezones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_LEAD_HOURS = 24;
+
+// Posts are spawned this long before their slot, so there is time to review them.
+function leadMs() {
+  const hours = parseInt(process.env.RECURRING_LEAD_HOURS);
+  return (hours >= 0 ? hours : DEFAULT_LEAD_HOURS) * 60 * 60 * 1000;
+}
+
+function parseTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || +match[1] > 23 || +match[2] > 59) throw new Error('Time must look like 09:00');
+  return { hour: +match[1], minute: +match[2] };
+}
+
+// Turns the recurring-post form into schedule columns (without brand and template).
+function parseRule(data, fallbackTimezone) {
+  const frequency = FREQUENCIES.includes(data.frequency) ? data.frequency : null;
+  if (!frequency) throw new Error('Pick how often the post repeats');
+
+  const time = String(data.time || '').trim();
+  parseTime(time);
+
+  const timezone = (data.timezone || fallbackTimezone || '').trim();
+  if (!isValidTimezone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+
+  const weekdays = frequency === 'weekly'
+    ? [...new Set([].concat(data.weekdays || []).map(Number))].filter(d => d >= 0 && d <= 6).sort()
+    : [];
+  if (frequency === 'weekly' && !weekdays.length) throw new Error('Pick at least one weekday');
+
+  const dayOfMonth = frequency === 'monthly' ? parseInt(data.day_of_month) : null;
+  if (frequency === 'monthly' && !(dayOfMonth >= 1 && dayOfMonth <= 31)) throw new Error('Day of month must be between 1 and 31');
+
+  return { frequency, weekdays, dayOfMonth, time, timezone };
+}
+
+// Days past the end of a short month fall on its last day ("31st" is Feb 28th).
+function matchesDay(schedule, year, month, day, weekday) {
+  if (schedule.frequency === 'daily') return true;
+  if (schedule.frequency === 'weekly') return schedule.weekdays.includes(weekday);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day === Math.min(schedule.dayOfMonth, lastDay);
+}
+
+// First slot strictly after `after`. Days are walked in the schedule's own zone and
+// each slot is converted separately, so 09:00 stays 09:00 across DST changes.
+function nextOccurrence(schedule, after = new Date()) {
+  const { hour, minute } = parseTime(schedule.time);
+  const start = zonedParts(after, schedule.timezone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+  for (let i = 0; i <= 62; i++) {
+    const d = new Date(startDay + i * DAY_MS);
+    const year = d.getUTCFullYear();
+    const month = d.getUTCMonth() + 1;
+    const day = d.getUTCDate();
+    if (!matchesDay(schedule, year, month, day, d.getUTCDay())) continue;
+
+    const slot = zonedTimeToUtc({ year, month, day, hour, minute }, schedule.timezone);
+    if (slot > after) return slot;
+  }
+  return null;
+}
+
+function describeRule(schedule) {
+  if (schedule.frequency === 'daily') return `Every day at ${schedule.time}`;
+  if (schedule.frequency === 'weekly') {
+    return `Every ${schedule.weekdays.map(d => WEEKDAYS[d]).join(', ')} at ${schedule.time}`;
+  }
+  return `Day ${schedule.dayOfMonth} of every month at ${schedule.time}`;
+}
+
+// Creates the post for every schedule whose next slot is within the lead time and
+// queues it for generation, like a post created by hand. Slots that already passed
+// (the app was down) are skipped rather than published late.
+async function spawnDuePosts() {
+  const now = new Date();
+  const due = await prisma.recurringSchedule.findMany({
+    where: { active: true, nextRunAt: { lte: new Date(now.getTime() + leadMs()) } }
+  });
+
+  for (const schedule of due) {
+    const missed = schedule.nextRunAt <= now;
+    const next = nextOccurrence(schedule, missed ? now : schedule.nextRunAt);
+
+    const post = await prisma.$transaction(async (tx) => {
+      // Another instance may have claimed this slot already.
+      const claimed = await tx.recurringSchedule.updateMany({
+        where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+        data: missed ? { nextRunAt: next } : { nextRunAt: next, lastRunAt: schedule.nextRunAt }
+      });
+      if (!claimed.count) return null;
+      if (missed) {
+        console.warn(`Recurring schedule ${schedule.id}: missed slot ${schedule.nextRunAt.toISOString()}, skipping`);
+        return null;
+      }
+
+      const created = await tx.post.create({
+        data: {
+          brandId: schedule.brandId,
+          recurringScheduleId: schedule.id,
+          title: schedule.title,
+          body: schedule.body,
+          platform: schedule.platform,
+          language: schedule.language,
+          status: 'draft',
+          scheduleAt: schedule.nextRunAt,
+          createdById: schedule.createdById,
+          isGenerating: true
+        }
+      });
+      await enqueue('generate-post', { postId: created.id }, { tx, maxAttempts: 3 });
+      return created;
+    });
+
+    if (post) console.log(`🔁 Recurring schedule ${schedule.id} created post ${post.id} for ${schedule.nextRunAt.toISOString()}`);
+  }
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  parseRule,
+  nextOccurrence,
+  describeRule,
+  spawnDuePosts,
+};
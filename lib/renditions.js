@@ -0,0 +1,287 @@
+const sharp = require('sharp');
+const prisma = require('./db');
+const { PLATFORM_LABELS } = require('./brands');
+const { driverFor, defaultDriver } = require('./storage');
+const { probeMedia } = require('./probe');
+
+const MB = 1024 * 1024;
+const THUMBNAIL_WIDTH = 320;
+const JPEG_QUALITIES = [90, 82, 74, 66, 58, 50];
+
+// What each platform takes. Images that are too large (in pixels or bytes), in
+// the wrong format or outside the allowed aspect ratios get a rendition made for
+// that platform. What a rendition cannot fix (too small, extreme proportions,
+// the wrong kind of media, anything about a video, too many items) blocks
+// approval instead. maxItems is the size of a carousel, media group or gallery.
+const PLATFORM_MEDIA_RULES = {
+  instagram: {
+    kinds: ['image'],
+    required: true,
+    maxItems: 10,
+    formats: ['image/jpeg'],
+    aspectRatios: [[4, 5], [1, 1], [1.91, 1]],
+    minWidth: 320,
+    maxWidth: 1440,
+    maxBytes: 8 * MB
+  },
+  telegram: { kinds: ['image'], maxItems: 10, maxBytes: 10 * MB, maxSideSum: 10000, maxAspect: 20 },
+  facebook: { kinds: ['image'], maxItems: 10, formats: ['image/jpeg', 'image/png', 'image/gif'], maxBytes: 4 * MB },
+  linkedin: {
+    kinds: ['image'],
+    maxItems: 20,
+    formats: ['image/jpeg', 'image/png', 'image/gif'],
+    minWidth: 200,
+    minHeight: 200,
+    maxPixels: 36152100,
+    maxBytes: 8 * MB
+  },
+  wordpress: { kinds: ['image'] },
+  tiktok: {
+    kinds: ['video'],
+    required: true,
+    maxItems: 1,
+    formats: ['video/mp4', 'video/quicktime'],
+    minDuration: 3,
+    maxDuration: 600,
+    minSide: 360,
+    maxSide: 4096
+  },
+};
+
+const kindOf = (mimeType) => mimeType.split('/')[0];
+const formatName = (mimeType) => mimeType.split('/')[1].replace('quicktime', 'mov').toUpperCase();
+const ratioLabel = ([a, b]) => `${a}:${b}`;
+
+function readStored(item) {
+  return driverFor(item.driver).get(item.storageKey);
+}
+
+// Media stored before dimensions were recorded is measured on first use.
+async function ensureProbed(media) {
+  if (media.width || media.duration || !['image', 'video'].includes(kindOf(media.mimeType))) return media;
+  const probed = await probeMedia(await readStored(media), media.mimeType);
+  if (!probed.width && !probed.duration) return media;
+  return prisma.media.update({ where: { id: media.id }, data: probed });
+}
+
+// Crop to the nearest allowed aspect ratio, then scale down to fit the limits.
+function targetSize(rules, width, height) {
+  let w = width;
+  let h = height;
+  let ratio = null;
+
+  if (rules.aspectRatios) {
+    const current = width / height;
+    const nearest = rules.aspectRatios.reduce((best, r) =>
+      Math.abs(Math.log(r[0] / r[1] / current)) < Math.abs(Math.log(best[0] / best[1] / current)) ? r : best);
+    const target = nearest[0] / nearest[1];
+    if (Math.abs(current / target - 1) > 0.01) {
+      ratio = nearest;
+      if (current > target) w = Math.round(height * target);
+      else h = Math.round(width / target);
+    }
+  }
+
+  let scale = 1;
+  if (rules.maxWidth) scale = Math.min(scale, rules.maxWidth / w);
+  if (rules.maxPixels) scale = Math.min(scale, Math.sqrt(rules.maxPixels / (w * h)));
+  if (rules.maxSideSum) scale = Math.min(scale, rules.maxSideSum / (w + h));
+  return { width: Math.floor(w * scale), height: Math.floor(h * scale), ratio, resized: scale < 1 };
+}
+
+// Decides what `platform` needs done to the media. Returns { problems, changes,
+// target }: problems block approval, changes describe the rendition (if any).
+function planForPlatform(media, platform) {
+  const rules = PLATFORM_MEDIA_RULES[platform];
+  const label = PLATFORM_LABELS[platform] || platform;
+  const plan = { problems: [], changes: [], target: null };
+  if (!rules) return plan;
+
+  if (!media) {
+    if (rules.required) plan.problems.push(`${label} posts need ${rules.kinds.join(' or ')}`);
+    return plan;
+  }
+
+  const kind = kindOf(media.mimeType);
+  if (!rules.kinds.includes(kind)) {
+    plan.problems.push(`${label} takes ${rules.kinds.join(' or ')}s, this is ${media.mimeType}`);
+    return plan;
+  }
+
+  if (kind === 'video') {
+    if (rules.formats && !rules.formats.includes(media.mimeType)) {
+      plan.problems.push(`${label} takes ${rules.formats.map(formatName).join(' or ')} videos, this one is ${formatName(media.mimeType)}`);
+      return plan;
+    }
+    if (!media.duration || !media.width) {
+      plan.problems.push(`The video's length and resolution could not be read`);
+      return plan;
+    }
+    if (media.duration < rules.minDuration || media.duration > rules.maxDuration) {
+      plan.problems.push(`${label} videos must be ${rules.minDuration}s to ${rules.maxDuration / 60} min long, this one is ${Math.round(media.duration)}s`);
+    }
+    const short = Math.min(media.width, media.height);
+    const long = Math.max(media.width, media.height);
+    if (short < rules.minSide || long > rules.maxSide) {
+      plan.problems.push(`${label} videos must be at least ${rules.minSide}px on the short side and at most ${rules.maxSide}px on the long side, this one is ${media.width}×${media.height}`);
+    }
+    return plan;
+  }
+
+  if (!media.width || !media.height) {
+    plan.problems.push('The image size could not be read');
+    return plan;
+  }
+  if (rules.maxAspect && Math.max(media.width / media.height, media.height / media.width) > rules.maxAspect) {
+    plan.problems.push(`${label} images cannot be more than ${rules.maxAspect} times longer than they are wide`);
+  }
+
+  const target = targetSize(rules, media.width, media.height);
+  if ((rules.minWidth && target.width < rules.minWidth) || (rules.minHeight && target.height < rules.minHeight)) {
+    plan.problems.push(`${label} needs images at least ${rules.minWidth}×${rules.minHeight || rules.minWidth}px` +
+      (target.ratio ? ` after cropping to ${ratioLabel(target.ratio)}` : '') + `, this one is ${media.width}×${media.height}`);
+  }
+  if (plan.problems.length) return plan;
+
+  if (target.ratio) plan.changes.push(`cropped to ${ratioLabel(target.ratio)}`);
+  if (target.resized) plan.changes.push(`resized to ${target.width}×${target.height}`);
+  if (rules.maxBytes && media.size > rules.maxBytes) plan.changes.push(`compressed below ${rules.maxBytes / MB} MB`);
+
+  // No platform takes AVIF, whatever its rules say.
+  const wrongFormat = media.mimeType === 'image/avif' || (rules.formats && !rules.formats.includes(media.mimeType));
+  if (!plan.changes.length && !wrongFormat) return plan;
+
+  // Re-encoded images are JPEG unless the original was a PNG the platform accepts.
+  const mimeType = media.mimeType === 'image/png' && !wrongFormat ? 'image/png' : 'image/jpeg';
+  if (mimeType !== media.mimeType) plan.changes.push(`converted to ${formatName(mimeType)}`);
+  plan.target = { ...target, mimeType, maxBytes: rules.maxBytes || null };
+  return plan;
+}
+
+// JPEG quality is lowered (and the image scaled down as a last resort) until the
+// file fits maxBytes.
+async function encode(buffer, target) {
+  const attempt = (scale, quality, mimeType) => {
+    let img = sharp(buffer).rotate().resize({
+      width: Math.max(1, Math.floor(target.width * scale)),
+      height: Math.max(1, Math.floor(target.height * scale)),
+      fit: 'cover',
+      position: sharp.strategy.attention
+    });
+    img = mimeType === 'image/png' ? img.png({ compressionLevel: 9 }) : img.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+    return img.toBuffer({ resolveWithObject: true });
+  };
+
+  for (const scale of [1, 0.75, 0.5]) {
+    if (target.mimeType === 'image/png') {
+      const out = await attempt(scale, null, 'image/png');
+      if (!target.maxBytes || out.data.length <= target.maxBytes) return { ...out, mimeType: 'image/png' };
+    }
+    for (const quality of JPEG_QUALITIES) {
+      const out = await attempt(scale, quality, 'image/jpeg');
+      if (!target.maxBytes || out.data.length <= target.maxBytes) return { ...out, mimeType: 'image/jpeg' };
+    }
+  }
+  throw new Error(`Could not get the image below ${target.maxBytes / MB} MB`);
+}
+
+async function storeRendition(media, purpose, { data, info, mimeType }) {
+  const driver = defaultDriver();
+  const storageKey = `renditions/${media.brandId}/${media.id}/${purpose}.${mimeType === 'image/png' ? 'png' : 'jpg'}`;
+  await driver.put(storageKey, data, { contentType: mimeType });
+
+  const row = { storageKey, driver: driver.name, mimeType, width: info.width, height: info.height, size: data.length };
+  return prisma.mediaRendition.upsert({
+    where: { mediaId_purpose: { mediaId: media.id, purpose } },
+    create: { mediaId: media.id, purpose, ...row },
+    update: row
+  });
+}
+
+// The file to send to `platform`: the original when it already fits, otherwise a
+// rendition, made once and reused. Throws with every problem when it cannot fit.
+async function mediaForPlatform(media, platform) {
+  media = await ensureProbed(media);
+  const plan = planForPlatform(media, platform);
+  if (plan.problems.length) throw new Error(plan.problems.join('; '));
+  if (!plan.target) return { item: media, purpose: null };
+
+  const existing = await prisma.mediaRendition.findUnique({ where: { mediaId_purpose: { mediaId: media.id, purpose: platform } } });
+  if (existing) return { item: existing, purpose: platform };
+
+  const rendition = await storeRendition(media, platform, await encode(await readStored(media), plan.target));
+  console.log(`🖼️ Media ${media.id}: ${platform} rendition ${plan.changes.join(', ')}`);
+  return { item: rendition, purpose: platform };
+}
+
+async function postMedia(post) {
+  const items = await prisma.postMedia.findMany({
+    where: { postId: post.id },
+    include: { media: true },
+    orderBy: { position: 'asc' }
+  });
+  const media = [];
+  for (const item of items) media.push(await ensureProbed(item.media));
+  return media;
+}
+
+// Plans every item of the post; with several items, problems and changes say
+// which item they are about.
+function planPostMedia(media, platform) {
+  const rules = PLATFORM_MEDIA_RULES[platform];
+  const label = PLATFORM_LABELS[platform] || platform;
+  if (!media.length) return planForPlatform(null, platform);
+
+  const plans = media.map(m => planForPlatform(m, platform));
+  const prefix = (i, text) => media.length > 1 ? `item ${i + 1}: ${text}` : text;
+  const problems = plans.flatMap((plan, i) => plan.problems.map(p => prefix(i, p)));
+  if (rules && rules.maxItems && media.length > rules.maxItems) {
+    problems.unshift(rules.maxItems === 1
+      ? `${label} posts take a single ${rules.kinds[0]}, this one has ${media.length} items`
+      : `${label} takes up to ${rules.maxItems} items per post, this one has ${media.length}`);
+  }
+  return { problems, changes: plans.flatMap((plan, i) => plan.changes.length ? [prefix(i, plan.changes.join(', '))] : []) };
+}
+
+// For the preview page: what will happen to the post's media on its platform.
+async function checkPostMedia(post) {
+  const { problems, changes } = planPostMedia(await postMedia(post), post.platform);
+  return { problems, changes };
+}
+
+// Runs before a post is approved, so the renditions are ready and an asset that
+// cannot work on the platform is caught while someone can still replace it.
+async function preparePostMedia(post) {
+  const label = PLATFORM_LABELS[post.platform] || post.platform;
+  const media = await postMedia(post);
+  const { problems } = planPostMedia(media, post.platform);
+  try {
+    if (problems.length) throw new Error(problems.join('; '));
+    for (const m of media) await mediaForPlatform(m, post.platform);
+  } catch (e) {
+    throw new Error(`Media does not meet ${label} requirements: ${e.message}`);
+  }
+}
+
+async function createThumbnail(mediaId) {
+  const media = await prisma.media.findUnique({ where: { id: mediaId } });
+  if (!media || kindOf(media.mimeType) !== 'image') return null;
+
+  const out = await sharp(await readStored(media))
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 78 })
+    .toBuffer({ resolveWithObject: true });
+  return storeRendition(media, 'thumbnail', { ...out, mimeType: 'image/jpeg' });
+}
+
+module.exports = {
+  PLATFORM_MEDIA_RULES,
+  readStored,
+  planForPlatform,
+  mediaForPlatform,
+  checkPostMedia,
+  preparePostMedia,
+  createThumbnail,
+};
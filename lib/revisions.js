@@ -0,0 +1,88 @@
+// mediaId points into the brand's media library, so image history is a list of ids.
+const REVISION_FIELDS = ['title', 'shortText', 'longText', 'caption', 'hashtags', 'mediaId'];
+
+function revisionValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (field === 'hashtags') return value.length ? value.join(' ') : null;
+  return String(value);
+}
+
+function parseHashtags(value) {
+  const seen = new Set();
+  return [].concat(value || [])
+    .join(' ')
+    .split(/[\s,]+/)
+    .map(tag => tag.trim().replace(/^#*/, ''))
+    .filter(Boolean)
+    .map(tag => '#' + tag)
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Model output is recorded for every field it filled in; human edits only for
+// fields whose value differs from `before`.
+async function recordRevisions(client, before, after, source, userId = null) {
+  const rows = REVISION_FIELDS
+    .filter(field => field in after)
+    .map(field => ({ field, value: revisionValue(field, after[field]) }))
+    .filter(r => source === 'model' ? r.value !== null : r.value !== revisionValue(r.field, before[r.field]))
+    .map(r => ({ ...r, postId: before.id, source, userId }));
+
+  if (rows.length) await client.postRevision.createMany({ data: rows });
+  return rows.map(r => r.field);
+}
+
+// Fields that can be regenerated on their own, keyed by the generator's field names.
+const REGENERATE_FIELDS = {
+  title: 'title',
+  short_text: 'shortText',
+  long_text: 'longText',
+  caption: 'caption',
+  hashtags: 'hashtags',
+};
+
+// Every variant is a full snapshot of the post's content, so any of them can be
+// restored as-is, even when only one field was regenerated.
+async function createVariant(client, post, content, opts = {}) {
+  const last = await client.postVariant.findFirst({
+    where: { postId: post.id },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = field in content ? content[field] : post[field];
+  });
+
+  return client.postVariant.create({
+    data: {
+      ...snapshot,
+      hashtags: snapshot.hashtags || [],
+      postId: post.id,
+      version: last ? last.version + 1 : 1,
+      field: opts.field || null,
+      instruction: opts.instruction || null,
+      createdById: opts.userId || null
+    }
+  });
+}
+
+function variantContent(variant) {
+  const content = {};
+  REVISION_FIELDS.forEach(field => { content[field] = variant[field]; });
+  return content;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  REGENERATE_FIELDS,
+  parseHashtags,
+  recordRevisions,
+  createVariant,
+  variantContent,
+};
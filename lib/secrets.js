@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+const CREDENTIAL_FIELDS = {
+  wordpress: 'wordpressCredentials',
+  linkedin: 'linkedinCredentials',
+  instagram: 'instagramCredentials',
+  facebook: 'facebookCredentials',
+  tiktok: 'tiktokCredentials',
+};
+
+// TikTok holds a plain Buffer account id, every other platform a JSON object.
+const PLAIN_CREDENTIAL_PLATFORMS = ['tiktok'];
+
+function parseKey(id, base64) {
+  const key = Buffer.from(base64, 'base64');
+  if (key.length !== 32) throw new Error(`Credentials key "${id}" must be 32 bytes, base64-encoded`);
+  return { id, key };
+}
+
+// CREDENTIALS_KEY encrypts everything new; CREDENTIALS_PREVIOUS_KEYS ("id:base64,id:base64")
+// are kept only so rows written before a rotation can still be read.
+function loadKeys() {
+  const keys = {};
+  let current = null;
+
+  if (process.env.CREDENTIALS_KEY) {
+    current = parseKey(process.env.CREDENTIALS_KEY_ID || 'k1', process.env.CREDENTIALS_KEY);
+    keys[current.id] = current.key;
+  }
+
+  (process.env.CREDENTIALS_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const sep = entry.indexOf(':');
+      if (sep === -1) throw new Error('CREDENTIALS_PREVIOUS_KEYS entries must look like "id:base64key"');
+      const prev = parseKey(entry.slice(0, sep), entry.slice(sep + 1));
+      if (!keys[prev.id]) keys[prev.id] = prev.key;
+    });
+
+  return { current, keys };
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:${VERSION}:`);
+}
+
+function keyIdOf(value) {
+  return isEncrypted(value) ? value.split(':')[2] : null;
+}
+
+function encryptSecret(plaintext) {
+  const { current } = loadKeys();
+  if (!current) throw new Error('CREDENTIALS_KEY is not set');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [PREFIX, VERSION, current.id, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+}
+
+// Values that were stored before encryption was introduced are returned as-is.
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, , keyId, iv, tag, data] = value.split(':');
+  const key = loadKeys().keys[keyId];
+  if (!key) throw new Error(`Unknown credentials key "${keyId}"`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function encryptCredentials(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return encryptSecret(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function decryptCredentials(stored) {
+  if (stored === null || stored === undefined) return null;
+  const plaintext = decryptSecret(stored);
+  try {
+    return JSON.parse(plaintext);
+  } catch (e) {
+    return plaintext;
+  }
+}
+
+function decryptBrandCredentials(brand) {
+  const decrypted = { ...brand };
+  Object.keys(CREDENTIAL_FIELDS).forEach(platform => {
+    const field = CREDENTIAL_FIELDS[platform];
+    if (PLAIN_CREDENTIAL_PLATFORMS.includes(platform)) {
+      decrypted[field] = brand[field] ? decryptSecret(brand[field]) : null;
+    } else {
+      decrypted[field] = decryptCredentials(brand[field]);
+    }
+  });
+  return decrypted;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  const { current } = loadKeys();
+  return !current || keyIdOf(value) !== current.id;
+}
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  PLAIN_CREDENTIAL_PLATFORMS,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  encryptCredentials,
+  decryptCredentials,
+  decryptBrandCredentials,
+  needsReencryption,
+  safeEqual,
+};
@@ -0,0 +1,108 @@
+const { PLATFORM_LABELS } = require('./brands');
+const { zonedParts, zonedTimeToUtc, formatInZone } = require('./timezones');
+const { nextOccurrence } = require('./recurring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 200;
+
+// Posts that hold a place on a channel: queued to go out, going out or already out.
+const OCCUPYING_STATUSES = ['scheduled', 'publishing', 'sent'];
+
+// brand.postingRules: { [platform]: { slots: ['10:00', ...], perDay: n, minGapMinutes: n } }
+function channelRules(brand, platform) {
+  const rules = (brand && brand.postingRules && brand.postingRules[platform]) || {};
+  return {
+    slots: rules.slots || [],
+    perDay: rules.perDay || null,
+    minGapMinutes: rules.minGapMinutes || null
+  };
+}
+
+function hasChannelRules(brand, platform) {
+  const rules = channelRules(brand, platform);
+  return Boolean(rules.slots.length || rules.perDay || rules.minGapMinutes);
+}
+
+function nextSlot(slots, timezone, after) {
+  return slots
+    .map(time => nextOccurrence({ frequency: 'daily', time, timezone }, after))
+    .reduce((first, slot) => (!first || slot < first ? slot : first), null);
+}
+
+function dayBounds(at, timezone) {
+  const p = zonedParts(at, timezone);
+  const next = new Date(Date.UTC(p.year, p.month - 1, p.day) + DAY_MS);
+  return {
+    start: zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timezone),
+    end: zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timezone)
+  };
+}
+
+// Other posts on the same channel around `at`, with the time each one goes (or went)
+// out. Posts sent right away have no scheduleAt, so their first delivery counts.
+async function channelPosts(client, post, from, to) {
+  const base = { brandId: post.brandId, platform: post.platform, id: { not: post.id } };
+  const scheduled = await client.post.findMany({
+    where: { ...base, status: { in: OCCUPYING_STATUSES }, scheduleAt: { gte: from, lt: to } },
+    select: { id: true, status: true, scheduleAt: true }
+  });
+  const sentNow = await client.post.findMany({
+    where: { ...base, status: { in: ['publishing', 'sent'] }, scheduleAt: null, deliveries: { some: { startedAt: { gte: from, lt: to } } } },
+    select: { id: true, status: true, deliveries: { select: { startedAt: true }, orderBy: { startedAt: 'asc' }, take: 1 } }
+  });
+
+  return scheduled
+    .map(p => ({ id: p.id, status: p.status, at: p.scheduleAt }))
+    .concat(sentNow.map(p => ({ id: p.id, status: p.status, at: p.deliveries[0].startedAt })));
+}
+
+// Returns why `post` cannot go out at `at`, and the earliest time worth trying next.
+// With `aheadOnly`, scheduled posts only count if they are due before this one, so
+// when several posts are due at once the first ones keep their slot.
+async function limitViolation(client, brand, post, at, rules, { aheadOnly = false } = {}) {
+  const { start, end } = dayBounds(at, brand.timezone);
+  const gapMs = (rules.minGapMinutes || 0) * 60 * 1000;
+  const label = PLATFORM_LABELS[post.platform] || post.platform;
+
+  const others = (await channelPosts(client, post, new Date(Math.min(start, at - gapMs)), new Date(Math.max(end, at.getTime() + gapMs))))
+    .filter(o => !aheadOnly || o.status !== 'scheduled' || o.at < at || (o.at.getTime() === at.getTime() && o.id < post.id));
+
+  if (rules.perDay) {
+    const sameDay = others.filter(o => o.at >= start && o.at < end);
+    if (sameDay.length >= rules.perDay) {
+      return { reason: `${label} already has ${rules.perDay} post(s) on ${formatInZone(start, brand.timezone, { dateStyle: 'medium' })}`, retryAt: end };
+    }
+  }
+
+  if (gapMs) {
+    const close = others.filter(o => Math.abs(o.at - at) < gapMs);
+    if (close.length) {
+      const latest = close.reduce((a, b) => (b.at > a.at ? b : a));
+      return {
+        reason: `${label} posts need ${rules.minGapMinutes} min between them (post #${latest.id} at ${formatInZone(latest.at, brand.timezone)})`,
+        retryAt: new Date(latest.at.getTime() + gapMs)
+      };
+    }
+  }
+  return null;
+}
+
+// Earliest time from `from` on that respects the channel's slots and limits. With
+// `snap`, the post moves to the first slot at or after `from`; otherwise `from` is
+// kept when it is already valid. Returns the time and the reasons for any move.
+async function findPublishTime(client, brand, post, from, { snap = false, aheadOnly = false } = {}) {
+  const rules = channelRules(brand, post.platform);
+  const reasons = [];
+  let at = snap && rules.slots.length ? nextSlot(rules.slots, brand.timezone, new Date(from.getTime() - 1)) : from;
+
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    const violation = await limitViolation(client, brand, post, at, rules, { aheadOnly });
+    if (!violation) return { at, reasons };
+
+    if (!reasons.includes(violation.reason)) reasons.push(violation.reason);
+    at = rules.slots.length ? nextSlot(rules.slots, brand.timezone, new Date(violation.retryAt.getTime() - 1)) : violation.retryAt;
+  }
+  throw new Error(`No free ${post.platform} slot found after ${formatInZone(at, brand.timezone)}`);
+}
+
+module.exports = { OCCUPYING_STATUSES, channelRules, hasChannelRules, nextSlot, findPublishTime };
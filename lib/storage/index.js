@@ -0,0 +1,24 @@
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+const STORAGE_DRIVERS = Object.keys(DRIVERS);
+const instances = {};
+
+// Media rows remember which driver holds them, so switching STORAGE_DRIVER only
+// affects new uploads; old files are still read from where they were written.
+function driverFor(name) {
+  if (!DRIVERS[name]) throw new Error(`Unknown storage driver "${name}"`);
+  if (!instances[name]) instances[name] = DRIVERS[name]();
+  return instances[name];
+}
+
+function defaultDriver() {
+  return driverFor(process.env.STORAGE_DRIVER || 'local');
+}
+
+module.exports = { STORAGE_DRIVERS, driverFor, defaultDriver };
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files live under LOCAL_STORAGE_DIR (uploads/ by default), so filenames written
+// before the storage layer existed are still valid keys.
+function createLocalDriver(root = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads')) {
+  if (!fs.existsSync(root)) fs.mkdirSync(root, { recursive: true });
+
+  function resolve(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolve(key));
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolve(key));
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
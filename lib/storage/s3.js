@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it; slashes in object keys stay as they are.
+function encodeKey(key) {
+  return key.split('/').map(part => encodeURIComponent(part).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())).join('/');
+}
+
+// Signs a request with AWS Signature Version 4. Path-style URLs are used, so
+// MinIO and other S3-compatible servers work without bucket DNS.
+function signedRequest(config, method, key, body = Buffer.alloc(0), headers = {}, now = new Date()) {
+  const url = new URL(config.endpoint);
+  const pathname = `${url.pathname.replace(/\/+$/, '')}/${config.bucket}/${encodeKey(key)}`;
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const signed = { ...headers, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const names = Object.keys(signed).map(h => h.toLowerCase()).sort();
+  const lower = {};
+  Object.keys(signed).forEach(h => { lower[h.toLowerCase()] = String(signed[h]).trim(); });
+
+  const canonical = [method, pathname, '', names.map(h => `${h}:${lower[h]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac('AWS4' + config.secretAccessKey, date), config.region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(toSign).digest('hex');
+
+  return {
+    method,
+    url: `${url.origin}${pathname}`,
+    data: body.length ? body : undefined,
+    headers: {
+      ...signed,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout: 60000
+  };
+}
+
+function createS3Driver(config = {
+  endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+}) {
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await axios(signedRequest(config, 'PUT', key, buffer, { 'content-type': contentType || 'application/octet-stream' }));
+    },
+
+    async get(key) {
+      const r = await axios({ ...signedRequest(config, 'GET', key), responseType: 'arraybuffer' });
+      return Buffer.from(r.data);
+    },
+
+    async exists(key) {
+      try {
+        await axios(signedRequest(config, 'HEAD', key));
+        return true;
+      } catch (e) {
+        if (e.response && e.response.status === 404) return false;
+        throw e;
+      }
+    },
+
+    async delete(key) {
+      await axios(signedRequest(config, 'DELETE', key));
+    },
+  };
+}
+
+module.exports = { createS3Driver, signedRequest };
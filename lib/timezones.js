@@ -0,0 +1,95 @@
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function listTimezones() {
+  const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(DEFAULT_TIMEZONE) ? zones : [DEFAULT_TIMEZONE, ...zones];
+}
+
+// Times are entered and shown in the user's own zone if they set one, otherwise
+// in the brand's.
+function displayZone(user, brand) {
+  if (user && isValidTimezone(user.timezone)) return user.timezone;
+  if (brand && isValidTimezone(brand.timezone)) return brand.timezone;
+  return DEFAULT_TIMEZONE;
+}
+
+function zonedParts(date, tz) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+// How far the zone's wall clock is ahead of UTC at the given instant.
+function offsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Wall-clock time in tz → UTC instant. A time skipped by a DST jump moves forward
+// by the size of the gap; a time that happens twice resolves to the first one.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const before = wall - offsetMs(new Date(wall - DAY_MS), tz);
+  const after = wall - offsetMs(new Date(wall + DAY_MS), tz);
+
+  const valid = [before, after].filter(t => t + offsetMs(new Date(t), tz) === wall);
+  return new Date(valid.length ? Math.min(...valid) : before);
+}
+
+// Parses a datetime-local value ("2026-03-29T02:30") as wall-clock time in tz.
+// Values that already carry an offset are taken as-is.
+function parseZonedInput(value, tz) {
+  if (!value || !String(value).trim()) return null;
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+
+  const date = match
+    ? zonedTimeToUtc({ year: +match[1], month: +match[2], day: +match[3], hour: +match[4], minute: +match[5] }, tz)
+    : new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid date "${value}"`);
+  return date;
+}
+
+function formatInZone(date, tz, style = { dateStyle: 'medium', timeStyle: 'short' }) {
+  if (!date) return '';
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE,
+    ...style
+  }).format(new Date(date));
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  listTimezones,
+  displayZone,
+  zonedParts,
+  zonedTimeToUtc,
+  parseZonedInput,
+  formatInZone,
+};
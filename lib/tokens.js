@@ -0,0 +1,172 @@
+const axios = require('axios');
+const prisma = require('./db');
+const { encryptSecret, decryptSecret, decryptCredentials } = require('./secrets');
+
+const GRAPH_TOKEN_URL = 'https://graph.facebook.com/v24.0/oauth/access_token';
+const META_PROVIDERS = ['instagram', 'facebook'];
+
+// Long-lived Meta tokens live ~60 days; renew them a week before they run out.
+const REFRESH_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+// Tokens without a known expiry are re-exchanged at most once a day.
+const UNKNOWN_EXPIRY_REFRESH_MS = 24 * 60 * 60 * 1000;
+const REFRESH_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const refreshLocks = {};
+
+function credentialsKey(provider) {
+  return provider === 'facebook' ? 'facebookCredentials' : 'instagramCredentials';
+}
+
+function expiresAtFrom(expiresIn) {
+  return expiresIn ? new Date(Date.now() + Number(expiresIn) * 1000) : null;
+}
+
+async function getBrandToken(brandId, provider) {
+  const row = await prisma.brandToken.findUnique({
+    where: { brandId_provider: { brandId, provider } }
+  });
+  return row ? { ...row, token: decryptSecret(row.token) } : null;
+}
+
+async function getBrandTokens(brandId) {
+  return prisma.brandToken.findMany({
+    where: { brandId },
+    select: { provider: true, expiresAt: true, refreshedAt: true, status: true, lastError: true },
+    orderBy: { provider: 'asc' }
+  });
+}
+
+async function setBrandToken(brandId, provider, token, expiresIn) {
+  const data = {
+    token: encryptSecret(token),
+    expiresAt: expiresAtFrom(expiresIn),
+    refreshedAt: new Date(),
+    status: 'active',
+    lastError: null
+  };
+
+  return prisma.brandToken.upsert({
+    where: { brandId_provider: { brandId, provider } },
+    update: data,
+    create: { brandId, provider, ...data }
+  });
+}
+
+async function markBrandTokenBroken(brandId, provider, message) {
+  try {
+    await prisma.brandToken.update({
+      where: { brandId_provider: { brandId, provider } },
+      data: { status: 'broken', lastError: message }
+    });
+  } catch (err) {
+    console.error(`Failed to mark ${provider} token broken for brand ${brandId}:`, err.message);
+  }
+}
+
+function graphErrorMessage(err) {
+  const graphError = err.response && err.response.data && err.response.data.error;
+  return graphError && graphError.message ? graphError.message : err.message;
+}
+
+async function refreshBrandToken(brand, provider = 'instagram') {
+  const credsRaw = decryptCredentials(brand[credentialsKey(provider)]);
+  if (!credsRaw) return null;
+
+  const creds = { ...credsRaw };
+  const appId = creds.app_id || creds.appId || creds.client_id || creds.clientId;
+  const appSecret = creds.app_secret || creds.appSecret || creds.client_secret || creds.clientSecret;
+
+  const lockKey = `${brand.id}_${provider}`;
+  if (refreshLocks[lockKey]) {
+    await refreshLocks[lockKey];
+    const tokenAfter = await getBrandToken(brand.id, provider);
+    if (tokenAfter) creds.access_token = tokenAfter.token;
+    return creds;
+  }
+
+  const stored = await getBrandToken(brand.id, provider);
+  if (!stored) {
+    console.warn(`No ${provider} token for brand`, brand.id);
+    return creds;
+  }
+  creds.access_token = stored.token;
+
+  if (!appId || !appSecret) {
+    console.warn(`${provider} credentials incomplete for brand`, brand.id);
+    return creds;
+  }
+
+  let resolveLock;
+  refreshLocks[lockKey] = new Promise(res => { resolveLock = res; });
+
+  try {
+    const r = await axios.get(GRAPH_TOKEN_URL, {
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: appId,
+        client_secret: appSecret,
+        fb_exchange_token: stored.token,
+      },
+      paramsSerializer: p => new URLSearchParams(p).toString(),
+      timeout: 10000
+    });
+
+    const data = r.data;
+    if (!data.access_token) {
+      console.warn('⚠️ No access_token in FB response:', data);
+      await markBrandTokenBroken(brand.id, provider, 'No access_token in token exchange response');
+      return creds;
+    }
+
+    const saved = await setBrandToken(brand.id, provider, data.access_token, data.expires_in);
+    console.log(`✅ ${provider} token refreshed for brand ${brand.id}`);
+    creds.access_token = data.access_token;
+    if (saved.expiresAt) creds.expires_at = saved.expiresAt.toISOString();
+
+    return creds;
+  } catch (err) {
+    const message = graphErrorMessage(err);
+    console.error(`❌ Error refreshing ${provider} token for brand ${brand.id}:`, message);
+    await markBrandTokenBroken(brand.id, provider, message);
+    return creds;
+  } finally {
+    resolveLock();
+    delete refreshLocks[lockKey];
+  }
+}
+
+async function refreshExpiringTokens() {
+  const now = Date.now();
+  const tokens = await prisma.brandToken.findMany({
+    where: {
+      status: 'active',
+      OR: [
+        { expiresAt: { lte: new Date(now + REFRESH_BEFORE_MS) } },
+        { expiresAt: null, refreshedAt: null },
+        { expiresAt: null, refreshedAt: { lte: new Date(now - UNKNOWN_EXPIRY_REFRESH_MS) } }
+      ]
+    },
+    include: { brand: true }
+  });
+
+  for (const t of tokens) {
+    await refreshBrandToken(t.brand, t.provider);
+  }
+}
+
+function startTokenRefresher() {
+  const run = () => refreshExpiringTokens().catch(err => console.error('Token refresher error', err));
+  run();
+  return setInterval(run, REFRESH_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  META_PROVIDERS,
+  getBrandToken,
+  getBrandTokens,
+  setBrandToken,
+  markBrandTokenBroken,
+  refreshBrandToken,
+  refreshExpiringTokens,
+  startTokenRefresher,
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const prisma = require('./db');
+const { enqueue } = require('./queue');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+// Post lifecycle events subscriptions can pick. Payloads look like
+//   { id, event, createdAt, workspaceId, brandId, data: { post, ... } }
+// and are POSTed as JSON with these headers:
+//   X-Webhook-Event      the event name ("ping" for test pings)
+//   X-Webhook-Id         the event id; retries and redeliveries keep it
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the secret
+const WEBHOOK_EVENTS = {
+  'post.generated': 'Generation finished',
+  'post.approved': 'Approved by enough reviewers',
+  'post.scheduled': 'Scheduled or moved to a new time',
+  'post.sent': 'Published',
+  'post.publish_attempt_failed': 'A publishing attempt failed and will be retried',
+  'post.failed': 'Publishing failed',
+};
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// With the queue's backoff this keeps retrying for about two hours.
+const DELIVERY_MAX_ATTEMPTS = 8;
+const RESPONSE_LIMIT = 1000;
+
+const newSecret = () => 'whsec_' + crypto.randomBytes(24).toString('base64url');
+
+// Any workspace owner can add a webhook and read what it answered, so URLs may not
+// point into the server's own network: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges. WEBHOOK_ALLOW_PRIVATE_URLS=true
+// lifts this for self-hosted receivers on the same network.
+const INTERNAL_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([address, prefix]) => INTERNAL_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => INTERNAL_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const allowInternal = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const isInternal = (address) => INTERNAL_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+function internalTargetError(host) {
+  const err = new Error(`${host} is an internal address; webhooks can only be sent to public hosts`);
+  err.permanent = true;
+  return err;
+}
+
+// Checked when the URL is saved and again before every delivery.
+async function assertPublicHost(hostname) {
+  if (allowInternal()) return;
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    throw new Error(`Cannot resolve ${host}`);
+  }
+  if (addresses.some(a => isInternal(a.address))) throw internalTargetError(host);
+}
+
+// The connection resolves the name once more; checking that answer too means a
+// host that changes its DNS after the check still cannot reach inside.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!allowInternal() && addresses.some(a => isInternal(a.address))) return callback(internalTargetError(hostname));
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function parseWebhookForm(workspaceId, body) {
+  let url;
+  try {
+    url = new URL((body.url || '').trim());
+  } catch (e) {
+    throw new Error('Enter a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('The URL must start with http:// or https://');
+  await assertPublicHost(url.hostname);
+
+  const events = [...new Set([].concat(body.events || []))];
+  const unknown = events.filter(e => !WEBHOOK_EVENTS[e]);
+  if (unknown.length) throw new Error(`Unknown event(s): ${unknown.join(', ')}`);
+  if (!events.length) throw new Error('Pick at least one event');
+
+  const brandId = parseInt(body.brandId) || null;
+  if (brandId && !await prisma.brand.count({ where: { id: brandId, workspaceId } })) throw new Error('Brand not found');
+
+  return { url: url.toString(), events, brandId, description: (body.description || '').trim() || null };
+}
+
+async function createWebhook(workspaceId, body, createdById) {
+  return prisma.webhookSubscription.create({
+    data: { ...await parseWebhookForm(workspaceId, body), workspaceId, createdById, secret: encryptSecret(newSecret()) }
+  });
+}
+
+function webhookSecret(subscription) {
+  return decryptSecret(subscription.secret);
+}
+
+function rotateWebhookSecret(id) {
+  return prisma.webhookSubscription.update({ where: { id }, data: { secret: encryptSecret(newSecret()) } });
+}
+
+function postSummary(post) {
+  return {
+    id: post.id,
+    brandId: post.brandId,
+    campaignId: post.campaignId || null,
+    platform: post.platform,
+    language: post.language || null,
+    status: post.status,
+    title: post.title || null,
+    scheduleAt: post.scheduleAt || null,
+    lastError: post.lastError || null,
+    url: process.env.PUBLIC_BASE_URL ? `${process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')}/posts/${post.id}/preview` : null
+  };
+}
+
+async function createDeliveries(client, subscriptions, payload) {
+  for (const subscription of subscriptions) {
+    const delivery = await client.webhookDelivery.create({
+      data: { subscriptionId: subscription.id, event: payload.event, eventId: payload.id, payload }
+    });
+    await enqueue('webhook-delivery', { deliveryId: delivery.id }, { tx: client, maxAttempts: DELIVERY_MAX_ATTEMPTS });
+  }
+}
+
+// Queues the event for every active subscription of the post's workspace that
+// wants it. Pass the transaction that made the change, so a rollback sends nothing.
+async function emitPostEvent(client, event, post, extra = {}) {
+  const brand = await client.brand.findUnique({ where: { id: post.brandId }, select: { id: true, workspaceId: true } });
+  if (!brand) return;
+
+  const subscriptions = await client.webhookSubscription.findMany({
+    where: { workspaceId: brand.workspaceId, active: true, events: { has: event }, OR: [{ brandId: null }, { brandId: brand.id }] }
+  });
+  if (!subscriptions.length) return;
+
+  await createDeliveries(client, subscriptions, {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    workspaceId: brand.workspaceId,
+    brandId: brand.id,
+    data: { post: postSummary(post), ...extra }
+  });
+}
+
+// Sends one attempt and records it. With retry (the queue's 'webhook-delivery'
+// job) a failure keeps the delivery pending and throws so the job is retried;
+// test pings fail right away.
+async function deliverWebhook(deliveryId, { retry = true } = {}) {
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId }, include: { subscription: true } });
+  if (!delivery) return null;
+  if (!delivery.subscription.active && delivery.event !== 'ping') {
+    return prisma.webhookDelivery.update({ where: { id: deliveryId }, data: { status: 'failed', error: 'Webhook is disabled' } });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const result = { httpStatus: null, response: null, error: null };
+  let permanent = false;
+  try {
+    await assertPublicHost(new URL(delivery.subscription.url).hostname);
+    const r = await axios.post(delivery.subscription.url, body, {
+      ...deliveryAgents,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'smm-admin-webhooks/1',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhookSecret(delivery.subscription), timestamp, body)
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+    result.httpStatus = r.status;
+    result.response = String(r.data || '').slice(0, RESPONSE_LIMIT) || null;
+    if (r.status < 200 || r.status >= 300) result.error = `HTTP ${r.status}`;
+  } catch (err) {
+    result.error = err.message;
+    permanent = Boolean(err.permanent || (err.cause && err.cause.permanent));
+  }
+
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      ...result,
+      status: !result.error ? 'sent' : (retry ? 'pending' : 'failed'),
+      attempts: { increment: 1 },
+      durationMs: Date.now() - started,
+      lastAttemptAt: new Date(),
+      deliveredAt: result.error ? null : new Date()
+    }
+  });
+  if (result.error && retry) {
+    const err = new Error(`Webhook ${delivery.subscription.url}: ${result.error}`);
+    err.permanent = permanent;
+    throw err;
+  }
+  return updated;
+}
+
+function markDeliveryFailed(deliveryId) {
+  return prisma.webhookDelivery.updateMany({ where: { id: deliveryId }, data: { status: 'failed' } });
+}
+
+// Sends a ping right away and returns the recorded delivery.
+async function pingWebhook(subscription) {
+  const eventId = crypto.randomUUID();
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      subscriptionId: subscription.id,
+      event: 'ping',
+      eventId,
+      payload: {
+        id: eventId,
+        event: 'ping',
+        createdAt: new Date().toISOString(),
+        workspaceId: subscription.workspaceId,
+        brandId: subscription.brandId,
+        data: { webhookId: subscription.id, events: subscription.events }
+      }
+    }
+  });
+  return deliverWebhook(delivery.id, { retry: false });
+}
+
+// Sends a delivery again with the same event id, through the queue.
+async function redeliver(deliveryId) {
+  return prisma.$transaction(async (tx) => {
+    await tx.webhookDelivery.update({ where: { id: deliveryId }, data: { status: 'pending', error: null } });
+    await enqueue('webhook-delivery', { deliveryId }, { tx, maxAttempts: DELIVERY_MAX_ATTEMPTS });
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  parseWebhookForm,
+  createWebhook,
+  webhookSecret,
+  rotateWebhookSecret,
+  emitPostEvent,
+  deliverWebhook,
+  markDeliveryFailed,
+  pingWebhook,
+  redeliver,
+};
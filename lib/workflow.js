@@ -0,0 +1,274 @@
+const prisma = require('./db');
+const { can } = require('./access');
+const { enqueue } = require('./queue');
+const { hasChannelRules, findPublishTime } = require('./slots');
+const { preparePostMedia } = require('./renditions');
+const { assertContent } = require('./limits');
+const { emitPostEvent } = require('./webhooks');
+const { notifyPost } = require('./live');
+
+const STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'publishing', 'sent', 'failed'];
+
+// Content can only change while nobody has signed it off.
+const EDITABLE_STATUSES = ['draft', 'changes_requested'];
+
+// Anything not yet handed to the publisher can still be moved on the calendar, and
+// so can posts it gave up on: those go back to scheduled.
+const RESCHEDULABLE_STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'failed'];
+
+// Every status change goes through one of these. Actions without a permission are
+// performed by the system (scheduler, publisher, delivery callbacks) only.
+const TRANSITIONS = {
+  submit: { label: 'Submit for review', from: ['draft', 'changes_requested'], to: 'in_review', permission: 'post:edit' },
+  withdraw: { label: 'Withdraw from review', from: ['in_review'], to: 'draft', permission: 'post:edit' },
+  request_changes: { label: 'Request changes', from: ['in_review'], to: 'changes_requested', permission: 'post:approve', needsNote: true },
+  approve: { label: 'Approve', from: ['in_review'], to: 'approved', permission: 'post:approve' },
+  reopen: { label: 'Back to draft', from: ['failed', 'approved', 'scheduled'], to: 'draft', permission: 'post:edit' },
+  schedule: { from: ['approved', 'failed'], to: 'scheduled', permission: null },
+  publish: { from: ['approved', 'scheduled', 'publishing', 'failed'], to: 'publishing', permission: null },
+  send: { from: ['publishing', 'failed'], to: 'sent', permission: null },
+  fail: { from: ['publishing', 'sent'], to: 'failed', permission: null },
+};
+
+// Statuses that outbound webhooks hear about (lib/webhooks.js). post.failed is
+// sent by whoever gives up on publishing, not on every failed attempt.
+const STATUS_EVENTS = {
+  approved: 'post.approved',
+  scheduled: 'post.scheduled',
+  sent: 'post.sent',
+};
+
+function requiredApprovals(brand, platform) {
+  const rules = (brand && brand.approvalRules) || {};
+  return rules[platform] || rules.default || 1;
+}
+
+// Actions the given role may take on the post right now, for the UI.
+function availableActions(post, role) {
+  return Object.keys(TRANSITIONS).filter(action => {
+    const t = TRANSITIONS[action];
+    return t.permission && t.from.includes(post.status) && can(role, t.permission) && !post.isGenerating;
+  });
+}
+
+// Moves the post only if it is still in one of the action's source states, and
+// logs the change and queues its webhook event. userId is null for system transitions.
+async function applyTransition(client, post, action, { userId = null, note = null, data = {} } = {}) {
+  const t = TRANSITIONS[action];
+  if (!t) throw new Error(`Unknown action "${action}"`);
+
+  const moved = await client.post.updateMany({
+    where: { id: post.id, status: { in: t.from } },
+    data: { ...data, status: t.to }
+  });
+  if (!moved.count) {
+    const current = await client.post.findUnique({ where: { id: post.id }, select: { status: true } });
+    throw new Error(`Cannot ${action.replace('_', ' ')} a post that is ${current ? current.status : 'missing'}`);
+  }
+
+  await client.postTransition.create({
+    data: { postId: post.id, action, fromStatus: post.status, toStatus: t.to, userId, note }
+  });
+  const updated = { ...post, ...data, status: t.to };
+  if (STATUS_EVENTS[t.to]) await emitPostEvent(client, STATUS_EVENTS[t.to], updated, { previousStatus: post.status });
+  return updated;
+}
+
+// Why userId may not sign the post off: they wrote it or made its last edit by
+// hand. null when they may.
+async function selfApprovalReason(client, post, userId) {
+  if (post.createdById && post.createdById === userId) return 'You cannot approve a post you created';
+  const lastEdit = await client.postRevision.findFirst({
+    where: { postId: post.id, source: 'human', userId: { not: null } },
+    orderBy: { createdAt: 'desc' },
+    select: { userId: true }
+  });
+  if (lastEdit && lastEdit.userId === userId) return 'You cannot approve a post you edited last';
+  return null;
+}
+
+async function approvalsInRound(client, postId) {
+  const submitted = await client.postTransition.findFirst({
+    where: { postId, action: 'submit' },
+    orderBy: { createdAt: 'desc' }
+  });
+  return client.postTransition.findMany({
+    where: { postId, action: 'approve', createdAt: { gte: submitted ? submitted.createdAt : new Date(0) } },
+    select: { userId: true, createdAt: true }
+  });
+}
+
+// Each approval is logged; the post only leaves review once the brand's rule for
+// its platform is met by distinct reviewers. Fully approved posts are scheduled
+// or queued for publishing in the same transaction. With nextSlot, the final
+// approval also moves the post to the channel's next free posting slot.
+// Text over the platform's limits or media it cannot take blocks approval; the
+// platform copy of the media is made here.
+async function approve(post, userId, { nextSlot = false } = {}) {
+  assertContent(post);
+  await preparePostMedia(post);
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Reviewers approving at the same moment take turns here, so the last one
+    // always sees the others' approvals and moves the post on.
+    const [locked] = await tx.$queryRaw`SELECT "status", "createdById" FROM "Post" WHERE "id" = ${post.id} FOR UPDATE`;
+    const brand = await tx.brand.findUnique({ where: { id: post.brandId } });
+    const required = requiredApprovals(brand, post.platform);
+    const approvals = await approvalsInRound(tx, post.id);
+
+    if (approvals.some(a => a.userId === userId)) throw new Error('You have already approved this post');
+    if (!locked || locked.status !== 'in_review') throw new Error(`Cannot approve a post that is ${locked ? locked.status : 'missing'}`);
+    const selfApproval = await selfApprovalReason(tx, { ...post, createdById: locked.createdById }, userId);
+    if (selfApproval) throw new Error(selfApproval);
+
+    if (approvals.length + 1 < required) {
+      await tx.postTransition.create({
+        data: { postId: post.id, action: 'approve', fromStatus: post.status, toStatus: post.status, userId }
+      });
+      return { status: post.status, approvals: approvals.length + 1, required };
+    }
+
+    let approved = await applyTransition(tx, post, 'approve', { userId });
+    let note = null;
+    if (nextSlot) {
+      const { at, reasons } = await findPublishTime(tx, brand, post, new Date(), { snap: true });
+      await tx.post.update({ where: { id: post.id }, data: { scheduleAt: at } });
+      approved = { ...approved, scheduleAt: at };
+      note = ['Next free slot'].concat(reasons).join('; ');
+    }
+
+    if (approved.scheduleAt && new Date(approved.scheduleAt) > new Date()) {
+      await applyTransition(tx, approved, 'schedule', { userId: nextSlot ? userId : null, note });
+      return { status: 'scheduled', scheduleAt: approved.scheduleAt, approvals: approvals.length + 1, required };
+    }
+
+    await enqueue('publish-post', { postId: post.id }, { tx });
+    return { status: 'approved', approvals: approvals.length + 1, required };
+  });
+  await notifyPost(post, 'approve');
+  return result;
+}
+
+async function transition(post, action, { userId = null, note = null, nextSlot = false } = {}) {
+  if (action === 'approve') return approve(post, userId, { nextSlot });
+  if (TRANSITIONS[action] && TRANSITIONS[action].needsNote && !note) throw new Error('Please add a comment explaining what to change');
+
+  const result = await prisma.$transaction(async (tx) => {
+    const moved = await applyTransition(tx, post, action, { userId, note });
+    if (note) {
+      await tx.postComment.create({ data: { postId: post.id, userId, body: note } });
+    }
+    return { status: moved.status };
+  });
+  await notifyPost(post, action);
+  return result;
+}
+
+// Moving a post re-runs the decision made on final approval: an approved or failed
+// post with a future slot waits for the scheduler. Posts still in review just keep the new time.
+async function reschedule(post, scheduleAt, { userId = null } = {}) {
+  if (isNaN(scheduleAt)) throw new Error('Invalid date');
+  if (scheduleAt <= new Date()) throw new Error('Pick a time in the future');
+  if (post.isGenerating) throw new Error('Post is still being generated');
+
+  const result = await prisma.$transaction(async (tx) => {
+    const moved = await tx.post.updateMany({
+      where: { id: post.id, status: { in: RESCHEDULABLE_STATUSES } },
+      data: { scheduleAt }
+    });
+    if (!moved.count) throw new Error(`Cannot reschedule a post that is ${post.status.replace('_', ' ')}`);
+
+    const previous = post.scheduleAt ? new Date(post.scheduleAt).toISOString() : 'unscheduled';
+    await tx.postTransition.create({
+      data: {
+        postId: post.id,
+        action: 'reschedule',
+        fromStatus: post.status,
+        toStatus: post.status,
+        userId,
+        note: `${previous} → ${scheduleAt.toISOString()}`
+      }
+    });
+
+    if (post.status === 'approved' || post.status === 'failed') {
+      await applyTransition(tx, { ...post, scheduleAt }, 'schedule', { userId });
+      return { status: 'scheduled' };
+    }
+    if (post.status === 'scheduled') {
+      await emitPostEvent(tx, 'post.scheduled', { ...post, scheduleAt }, { previousScheduleAt: post.scheduleAt });
+    }
+    return { status: post.status };
+  });
+  await notifyPost(post, 'reschedule');
+  return result;
+}
+
+// Runs right before a post goes out. If the channel's daily limit or spacing does
+// not allow it now, the post is moved to the next valid time and the reason is
+// logged in its history. Returns the new time, or null when it may go out.
+async function enforceChannelLimits(post) {
+  const brand = await prisma.brand.findUnique({ where: { id: post.brandId } });
+  if (!hasChannelRules(brand, post.platform)) return null;
+
+  const due = post.status === 'scheduled' && post.scheduleAt ? post.scheduleAt : new Date();
+  const heldUntil = await prisma.$transaction(async (tx) => {
+    const { at, reasons } = await findPublishTime(tx, brand, post, due, { aheadOnly: true });
+    if (!reasons.length) return null;
+
+    const note = `${due.toISOString()} → ${at.toISOString()}: ${reasons.join('; ')}`;
+    if (post.status === 'approved') {
+      await applyTransition(tx, post, 'schedule', { note, data: { scheduleAt: at } });
+    } else {
+      const moved = await tx.post.updateMany({ where: { id: post.id, status: 'scheduled' }, data: { scheduleAt: at } });
+      if (!moved.count) return null;
+      await tx.postTransition.create({
+        data: { postId: post.id, action: 'reschedule', fromStatus: post.status, toStatus: post.status, note }
+      });
+      await emitPostEvent(tx, 'post.scheduled', { ...post, scheduleAt: at }, { previousScheduleAt: post.scheduleAt });
+    }
+
+    console.log(`⏳ Post ${post.id} held back until ${at.toISOString()}: ${reasons.join('; ')}`);
+    return at;
+  });
+  if (heldUntil) await notifyPost(post, 'reschedule');
+  return heldUntil;
+}
+
+// Used by the publisher and delivery callbacks. A post that has already moved on
+// (a late callback, a withdrawn post) is left alone.
+async function systemTransition(postId, action, data = {}) {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return null;
+  if (post.status === TRANSITIONS[action].to) {
+    if (!Object.keys(data).length) return post;
+    const updated = await prisma.post.update({ where: { id: postId }, data });
+    await notifyPost(post, action);
+    return updated;
+  }
+
+  let moved;
+  try {
+    moved = await prisma.$transaction(tx => applyTransition(tx, post, action, { data }));
+  } catch (e) {
+    console.warn(`Post ${postId}: ${e.message}`);
+    return null;
+  }
+  await notifyPost(post, action);
+  return moved;
+}
+
+module.exports = {
+  STATUSES,
+  EDITABLE_STATUSES,
+  RESCHEDULABLE_STATUSES,
+  TRANSITIONS,
+  requiredApprovals,
+  availableActions,
+  applyTransition,
+  selfApprovalReason,
+  approvalsInRound,
+  transition,
+  reschedule,
+  enforceChannelLimits,
+  systemTransition,
+};
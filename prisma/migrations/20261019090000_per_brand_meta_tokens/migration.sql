@@ -0,0 +1,43 @@
+/*
+  Warnings:
+
+  - You are about to drop the `instagramFacebook_tokens` table. Its latest token is copied to every brand that has Instagram or Facebook credentials.
+
+*/
+-- CreateTable
+CREATE TABLE "BrandToken" (
+    "id" SERIAL NOT NULL,
+    "brandId" INTEGER NOT NULL,
+    "provider" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "refreshedAt" TIMESTAMP(3),
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BrandToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BrandToken_brandId_provider_key" ON "BrandToken"("brandId", "provider");
+
+-- AddForeignKey
+ALTER TABLE "BrandToken" ADD CONSTRAINT "BrandToken_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- MigrateData
+INSERT INTO "BrandToken" ("brandId", "provider", "token", "updatedAt")
+SELECT b."id", 'instagram', t."token", CURRENT_TIMESTAMP
+FROM "Brand" b
+CROSS JOIN (SELECT "token" FROM "instagramFacebook_tokens" ORDER BY "updatedAt" DESC LIMIT 1) t
+WHERE b."instagramCredentials" IS NOT NULL;
+
+INSERT INTO "BrandToken" ("brandId", "provider", "token", "updatedAt")
+SELECT b."id", 'facebook', t."token", CURRENT_TIMESTAMP
+FROM "Brand" b
+CROSS JOIN (SELECT "token" FROM "instagramFacebook_tokens" ORDER BY "updatedAt" DESC LIMIT 1) t
+WHERE b."facebookCredentials" IS NOT NULL;
+
+-- DropTable
+DROP TABLE "instagramFacebook_tokens";
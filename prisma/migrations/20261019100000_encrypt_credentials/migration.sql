@@ -0,0 +1,10 @@
+/*
+  Credentials are stored as encrypted text from now on. Existing JSON values are kept
+  as plaintext until `npm run credentials:reencrypt` encrypts them with CREDENTIALS_KEY.
+
+*/
+-- AlterTable
+ALTER TABLE "Brand" ALTER COLUMN "wordpressCredentials" SET DATA TYPE TEXT USING "wordpressCredentials"::text,
+ALTER COLUMN "linkedinCredentials" SET DATA TYPE TEXT USING "linkedinCredentials"::text,
+ALTER COLUMN "instagramCredentials" SET DATA TYPE TEXT USING "instagramCredentials"::text,
+ALTER COLUMN "facebookCredentials" SET DATA TYPE TEXT USING "facebookCredentials"::text;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "BrandChange" (
+    "id" SERIAL NOT NULL,
+    "brandId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "field" TEXT NOT NULL,
+    "before" TEXT,
+    "after" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BrandChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BrandChange_brandId_createdAt_idx" ON "BrandChange"("brandId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BrandChange" ADD CONSTRAINT "BrandChange_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BrandChange" ADD CONSTRAINT "BrandChange_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
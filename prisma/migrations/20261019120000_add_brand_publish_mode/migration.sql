@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Brand" ADD COLUMN     "publishMode" TEXT NOT NULL DEFAULT 'n8n';
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PostDelivery" (
+    "id" SERIAL NOT NULL,
+    "postId" INTEGER NOT NULL,
+    "platform" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "attempt" INTEGER NOT NULL DEFAULT 1,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "request" JSONB,
+    "response" JSONB,
+    "remoteId" TEXT,
+    "permalink" TEXT,
+    "httpStatus" INTEGER,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PostDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PostDelivery_postId_startedAt_idx" ON "PostDelivery"("postId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "PostDelivery" ADD CONSTRAINT "PostDelivery_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PostRevision" (
+    "id" SERIAL NOT NULL,
+    "postId" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "value" TEXT,
+    "source" TEXT NOT NULL,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PostRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PostRevision_postId_field_createdAt_idx" ON "PostRevision"("postId", "field", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PostRevision" ADD CONSTRAINT "PostRevision_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PostRevision" ADD CONSTRAINT "PostRevision_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN     "currentVariantId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PostVariant" (
+    "id" SERIAL NOT NULL,
+    "postId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "field" TEXT,
+    "instruction" TEXT,
+    "title" TEXT,
+    "shortText" TEXT,
+    "longText" TEXT,
+    "caption" TEXT,
+    "hashtags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "imagePath" TEXT,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PostVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PostVariant_postId_version_key" ON "PostVariant"("postId", "version");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Post_currentVariantId_key" ON "Post"("currentVariantId");
+
+-- AddForeignKey
+ALTER TABLE "Post" ADD CONSTRAINT "Post_currentVariantId_fkey" FOREIGN KEY ("currentVariantId") REFERENCES "PostVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PostVariant" ADD CONSTRAINT "PostVariant_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PostVariant" ADD CONSTRAINT "PostVariant_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Brand" ADD COLUMN     "generatorProvider" TEXT NOT NULL DEFAULT 'n8n';
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE "Brand" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "timezone" TEXT;
+
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN     "recurringScheduleId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RecurringSchedule" (
+    "id" SERIAL NOT NULL,
+    "brandId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "body" TEXT,
+    "platform" TEXT NOT NULL,
+    "language" TEXT,
+    "frequency" TEXT NOT NULL,
+    "weekdays" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "dayOfMonth" INTEGER,
+    "time" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "nextRunAt" TIMESTAMP(3),
+    "lastRunAt" TIMESTAMP(3),
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecurringSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Post_recurringScheduleId_scheduleAt_key" ON "Post"("recurringScheduleId", "scheduleAt");
+
+-- CreateIndex
+CREATE INDEX "RecurringSchedule_active_nextRunAt_idx" ON "RecurringSchedule"("active", "nextRunAt");
+
+-- AddForeignKey
+ALTER TABLE "Post" ADD CONSTRAINT "Post_recurringScheduleId_fkey" FOREIGN KEY ("recurringScheduleId") REFERENCES "RecurringSchedule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringSchedule" ADD CONSTRAINT "RecurringSchedule_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringSchedule" ADD CONSTRAINT "RecurringSchedule_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
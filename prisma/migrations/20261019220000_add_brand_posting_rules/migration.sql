@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Brand" ADD COLUMN     "postingRules" JSONB;
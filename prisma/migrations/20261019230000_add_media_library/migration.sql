@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "BrandDocument" ADD COLUMN     "mediaId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN     "mediaId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN     "mediaId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "PostVariant" ADD COLUMN     "mediaId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Media" (
+    "id" SERIAL NOT NULL,
+    "brandId" INTEGER NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "driver" TEXT NOT NULL,
+    "originalName" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "checksum" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'upload',
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Media_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Media_brandId_createdAt_idx" ON "Media"("brandId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Media_brandId_checksum_key" ON "Media"("brandId", "checksum");
+
+-- AddForeignKey
+ALTER TABLE "BrandDocument" ADD CONSTRAINT "BrandDocument_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Campaign" ADD CONSTRAINT "Campaign_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Post" ADD CONSTRAINT "Post_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PostVariant" ADD CONSTRAINT "PostVariant_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Media" ADD CONSTRAINT "Media_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Media" ADD CONSTRAINT "Media_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
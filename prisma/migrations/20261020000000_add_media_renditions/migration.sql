@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Media" ADD COLUMN     "duration" DOUBLE PRECISION,
+ADD COLUMN     "height" INTEGER,
+ADD COLUMN     "width" INTEGER;
+
+-- CreateTable
+CREATE TABLE "MediaRendition" (
+    "id" SERIAL NOT NULL,
+    "mediaId" INTEGER NOT NULL,
+    "purpose" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "driver" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MediaRendition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MediaRendition_mediaId_purpose_key" ON "MediaRendition"("mediaId", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "MediaRendition" ADD CONSTRAINT "MediaRendition_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "Media"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "PostMedia" (
+    "id" SERIAL NOT NULL,
+    "postId" INTEGER NOT NULL,
+    "mediaId" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "altText" TEXT,
+    "caption" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PostMedia_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PostMedia_postId_position_key" ON "PostMedia"("postId", "position");
+
+-- CreateIndex
+CREATE INDEX "PostMedia_mediaId_idx" ON "PostMedia"("mediaId");
+
+-- AddForeignKey
+ALTER TABLE "PostMedia" ADD CONSTRAINT "PostMedia_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PostMedia" ADD CONSTRAINT "PostMedia_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "Media"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing posts keep their single image or video as the first item
+INSERT INTO "PostMedia" ("postId", "mediaId", "position")
+SELECT "id", "mediaId", 0 FROM "Post" WHERE "mediaId" IS NOT NULL;
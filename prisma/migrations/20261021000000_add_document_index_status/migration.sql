@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "BrandDocument" ADD COLUMN     "indexError" TEXT,
+ADD COLUMN     "indexStatus" TEXT NOT NULL DEFAULT 'pending',
+ADD COLUMN     "indexUpdatedAt" TIMESTAMP(3);
+
+-- Documents sent before statuses were tracked: the ones whose upload job gave up
+-- failed, the rest are assumed indexed until a reconcile says otherwise.
+UPDATE "BrandDocument" d
+SET "indexStatus" = CASE WHEN j."id" IS NULL THEN 'indexed' ELSE 'failed' END,
+    "indexError" = j."lastError",
+    "indexUpdatedAt" = COALESCE(j."updatedAt", d."uploadedAt")
+FROM "BrandDocument" d2
+LEFT JOIN "Job" j ON j."type" = 'rag-upload' AND j."status" = 'dead' AND (j."payload"->>'documentId')::int = d2."id"
+WHERE d2."id" = d."id";
+
+-- Documents whose upload is still queued stay pending.
+UPDATE "BrandDocument" d
+SET "indexStatus" = 'pending', "indexError" = NULL
+WHERE EXISTS (
+    SELECT 1 FROM "Job" j
+    WHERE j."type" = 'rag-upload' AND j."status" IN ('queued', 'running') AND (j."payload"->>'documentId')::int = d."id"
+);
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "AuditEvent" (
+    "id" SERIAL NOT NULL,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "entityLabel" TEXT,
+    "workspaceId" INTEGER,
+    "brandId" INTEGER,
+    "userId" INTEGER,
+    "actor" TEXT,
+    "apiTokenId" INTEGER,
+    "ip" TEXT,
+    "changes" JSONB,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_workspaceId_createdAt_idx" ON "AuditEvent"("workspaceId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_brandId_createdAt_idx" ON "AuditEvent"("brandId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_userId_createdAt_idx" ON "AuditEvent"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_action_idx" ON "AuditEvent"("action");
+
+-- Append-only: refuse updates, deletes and truncation
+CREATE FUNCTION "audit_event_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'AuditEvent rows cannot be changed or deleted';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditEvent_no_update_delete" BEFORE UPDATE OR DELETE ON "AuditEvent"
+    FOR EACH ROW EXECUTE FUNCTION "audit_event_append_only"();
+
+CREATE TRIGGER "AuditEvent_no_truncate" BEFORE TRUNCATE ON "AuditEvent"
+    FOR EACH STATEMENT EXECUTE FUNCTION "audit_event_append_only"();
@@ -0,0 +1,268 @@
+// Runs each native publisher against a local HTTP server that stands in for the
+// platform's API (through TELEGRAM_API_URL, GRAPH_API_URL and the WordPress site
+// URL) and checks the requests it makes and what it returns. Needs no network,
+// database or credentials: `npm test`.
+const assert = require('assert');
+const http = require('http');
+
+const telegram = require('../lib/publishers/telegram');
+const wordpress = require('../lib/publishers/wordpress');
+const facebook = require('../lib/publishers/facebook');
+const instagram = require('../lib/publishers/instagram');
+
+const options = { timeout: 5000 };
+let requests = [];
+let respond = () => ({});
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://stub');
+    const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: Buffer.concat(chunks).toString('latin1') };
+    requests.push(request);
+    const { status = 200, body = {} } = respond(request);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+});
+
+const image = (n, extra = {}) => ({
+  buffer: Buffer.from(`image-bytes-${n}`),
+  filename: `photo${n}.jpg`,
+  mimeType: 'image/jpeg',
+  altText: null,
+  caption: null,
+  url: `https://cdn.example.com/media/${n}.jpg`,
+  ...extra
+});
+
+const form = (body) => Object.fromEntries(new URLSearchParams(body));
+const ok = (body) => ({ status: 200, body });
+
+const checks = {
+  async 'telegram: several images go out as a media group'() {
+    respond = () => ok({ ok: true, result: [{ message_id: 41 }, { message_id: 42 }] });
+    const result = await telegram.publish({
+      post: { longText: 'Hello', hashtags: ['#a', '#b'] },
+      brand: { telegramChannel: 'https://t.me/acme' },
+      options: { ...options, media: [image(1), image(2, { caption: 'Second' })] }
+    });
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].path, '/botTEST_TOKEN/sendMediaGroup');
+    assert.match(requests[0].headers['content-type'], /^multipart\/form-data/);
+    assert.ok(requests[0].body.includes('name="photo0"; filename="photo1.jpg"'));
+    assert.ok(requests[0].body.includes('name="photo1"; filename="photo2.jpg"'));
+    assert.ok(requests[0].body.includes('"media":"attach://photo0","caption":"Hello\\n\\n#a #b"'));
+    assert.ok(requests[0].body.includes('"media":"attach://photo1","caption":"Second"'));
+    assert.deepStrictEqual(result, {
+      remoteId: '41',
+      url: 'https://t.me/acme/41',
+      httpStatus: 200,
+      response: { ok: true, result: [{ message_id: 41 }, { message_id: 42 }] }
+    });
+  },
+
+  async 'telegram: one image goes out as a photo'() {
+    respond = () => ok({ ok: true, result: { message_id: 7 } });
+    const result = await telegram.publish({
+      post: { longText: 'Hello' },
+      brand: { telegramChannel: '@acme' },
+      options: { ...options, media: [image(1)] }
+    });
+
+    assert.strictEqual(requests[0].path, '/botTEST_TOKEN/sendPhoto');
+    assert.ok(requests[0].body.includes('name="chat_id"\r\n\r\n@acme'));
+    assert.ok(requests[0].body.includes('name="caption"\r\n\r\nHello'));
+    assert.ok(requests[0].body.includes('name="photo"; filename="photo1.jpg"'));
+    assert.strictEqual(result.remoteId, '7');
+  },
+
+  async 'telegram: text over the caption limit goes out as a message'() {
+    respond = () => ok({ ok: true, result: { message_id: 8 } });
+    const text = 'x'.repeat(1100);
+    const result = await telegram.publish({
+      post: { longText: text },
+      brand: { telegramChannel: '-100123' },
+      options: { ...options, media: [image(1)] }
+    });
+
+    assert.strictEqual(requests[0].path, '/botTEST_TOKEN/sendMessage');
+    assert.deepStrictEqual(JSON.parse(requests[0].body), { chat_id: '-100123', text });
+    assert.strictEqual(result.remoteId, '8');
+    assert.strictEqual(result.url, null);
+  },
+
+  async 'telegram: API errors carry the platform text and status'() {
+    respond = () => ({ status: 400, body: { ok: false, description: 'Bad Request: chat not found' } });
+    await assert.rejects(
+      telegram.publish({ post: { longText: 'Hi' }, brand: { telegramChannel: '@acme' }, options }),
+      err => err.message === 'telegram: HTTP 400 Bad Request: chat not found' && err.httpStatus === 400
+    );
+  },
+
+  async 'wordpress: images are uploaded before the post that uses them'() {
+    let nextMedia = 100;
+    respond = (req) => {
+      if (req.path === '/wp-json/wp/v2/media') return ok({ id: nextMedia++ });
+      if (req.path.startsWith('/wp-json/wp/v2/media/')) return ok({});
+      return ok({ id: 55, link: 'https://blog.example.com/hello', status: 'publish' });
+    };
+    const result = await wordpress.publish({
+      post: { title: 'Hello', longText: 'Body' },
+      credentials: { wordpress: { url: `${stubUrl}/`, user: 'editor', pass: 'app-pass' } },
+      options: { ...options, media: [image(1, { altText: 'Alt one' }), image(2)] }
+    });
+
+    assert.deepStrictEqual(requests.map(r => r.path), [
+      '/wp-json/wp/v2/media',
+      '/wp-json/wp/v2/media/100',
+      '/wp-json/wp/v2/media',
+      '/wp-json/wp/v2/posts'
+    ]);
+    const auth = 'Basic ' + Buffer.from('editor:app-pass').toString('base64');
+    assert.ok(requests.every(r => r.headers.authorization === auth));
+    assert.strictEqual(requests[0].headers['content-type'], 'image/jpeg');
+    assert.strictEqual(requests[0].headers['content-disposition'], 'attachment; filename="photo1.jpg"');
+    assert.strictEqual(requests[0].body, 'image-bytes-1');
+    assert.deepStrictEqual(JSON.parse(requests[1].body), { alt_text: 'Alt one', caption: '' });
+    assert.deepStrictEqual(JSON.parse(requests[3].body), {
+      title: 'Hello',
+      content: 'Body\n\n[gallery ids="100,101"]',
+      status: 'publish',
+      featured_media: 100
+    });
+    assert.deepStrictEqual(result, {
+      remoteId: '55',
+      url: 'https://blog.example.com/hello',
+      httpStatus: 200,
+      response: { id: 55, link: 'https://blog.example.com/hello', status: 'publish' }
+    });
+  },
+
+  async 'facebook: several photos are attached to one feed post'() {
+    let nextPhoto = 1;
+    respond = (req) => req.path.endsWith('/photos') ? ok({ id: `photo${nextPhoto++}` }) : ok({ id: 'page_1_post_9' });
+    const result = await facebook.publish({
+      post: { caption: 'Look', hashtags: ['#new'] },
+      credentials: { facebook: { page_id: 'page_1', access_token: 'PAGE_TOKEN' } },
+      options: { ...options, media: [image(1, { caption: 'One' }), image(2)] }
+    });
+
+    assert.deepStrictEqual(requests.map(r => r.path), ['/page_1/photos', '/page_1/photos', '/page_1/feed']);
+    assert.ok(requests[0].body.includes('name="published"\r\n\r\nfalse'));
+    assert.ok(requests[0].body.includes('name="caption"\r\n\r\nOne'));
+    assert.ok(requests[0].body.includes('name="access_token"\r\n\r\nPAGE_TOKEN'));
+    assert.ok(requests[1].body.includes('name="source"; filename="photo2.jpg"'));
+    assert.deepStrictEqual(form(requests[2].body), {
+      message: 'Look\n\n#new',
+      access_token: 'PAGE_TOKEN',
+      'attached_media[0]': '{"media_fbid":"photo1"}',
+      'attached_media[1]': '{"media_fbid":"photo2"}'
+    });
+    assert.strictEqual(result.remoteId, 'page_1_post_9');
+    assert.strictEqual(result.url, 'https://www.facebook.com/page_1_post_9');
+  },
+
+  async 'facebook: one photo is published with the caption'() {
+    respond = () => ok({ id: 'photo1', post_id: 'page_1_post_3' });
+    const result = await facebook.publish({
+      post: { caption: 'Look' },
+      credentials: { facebook: { page_id: 'page_1', access_token: 'PAGE_TOKEN' } },
+      options: { ...options, media: [image(1)] }
+    });
+
+    assert.deepStrictEqual(requests.map(r => r.path), ['/page_1/photos']);
+    assert.ok(requests[0].body.includes('name="caption"\r\n\r\nLook'));
+    assert.ok(!requests[0].body.includes('name="published"'));
+    assert.strictEqual(result.remoteId, 'page_1_post_3');
+  },
+
+  async 'instagram: a carousel creates item containers, a parent, then publishes it'() {
+    let nextContainer = 1;
+    respond = (req) => {
+      if (req.path === '/ig_1/media') return ok({ id: `c${nextContainer++}` });
+      if (req.path === '/ig_1/media_publish') return ok({ id: 'm9' });
+      return ok({ permalink: 'https://www.instagram.com/p/abc/' });
+    };
+    const result = await instagram.publish({
+      post: { caption: 'Carousel', hashtags: ['#ig'] },
+      credentials: { instagram: { ig_user_id: 'ig_1', access_token: 'IG_TOKEN' } },
+      options: { ...options, media: [image(1, { altText: 'First' }), image(2)] }
+    });
+
+    assert.deepStrictEqual(requests.map(r => `${r.method} ${r.path}`), [
+      'POST /ig_1/media',
+      'POST /ig_1/media',
+      'POST /ig_1/media',
+      'POST /ig_1/media_publish',
+      'GET /m9'
+    ]);
+    assert.deepStrictEqual(form(requests[0].body), {
+      image_url: 'https://cdn.example.com/media/1.jpg',
+      alt_text: 'First',
+      is_carousel_item: 'true',
+      access_token: 'IG_TOKEN'
+    });
+    assert.deepStrictEqual(form(requests[2].body), {
+      media_type: 'CAROUSEL',
+      children: 'c1,c2',
+      caption: 'Carousel\n\n#ig',
+      access_token: 'IG_TOKEN'
+    });
+    assert.deepStrictEqual(form(requests[3].body), { creation_id: 'c3', access_token: 'IG_TOKEN' });
+    assert.strictEqual(requests[4].query.get('fields'), 'permalink');
+    assert.deepStrictEqual(result, {
+      remoteId: 'm9',
+      url: 'https://www.instagram.com/p/abc/',
+      httpStatus: 200,
+      response: { container_id: 'c3', id: 'm9' }
+    });
+  },
+
+  async 'instagram: one image is a single container'() {
+    respond = (req) => ok(req.path === '/ig_1/media' ? { id: 'c1' } : req.path === '/ig_1/media_publish' ? { id: 'm1' } : {});
+    const result = await instagram.publish({
+      post: { caption: 'Single' },
+      credentials: { instagram: { ig_user_id: 'ig_1', access_token: 'IG_TOKEN' } },
+      options: { ...options, media: [image(1)] }
+    });
+
+    assert.deepStrictEqual(requests.map(r => r.path), ['/ig_1/media', '/ig_1/media_publish', '/m1']);
+    assert.deepStrictEqual(form(requests[0].body), {
+      image_url: 'https://cdn.example.com/media/1.jpg',
+      caption: 'Single',
+      access_token: 'IG_TOKEN'
+    });
+    assert.strictEqual(result.remoteId, 'm1');
+    assert.strictEqual(result.url, null);
+  },
+};
+
+let stubUrl;
+
+async function main() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stubUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.TELEGRAM_API_URL = stubUrl;
+  process.env.TELEGRAM_BOT_TOKEN = 'TEST_TOKEN';
+  process.env.GRAPH_API_URL = stubUrl;
+
+  let failed = 0;
+  for (const [name, check] of Object.entries(checks)) {
+    requests = [];
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${name}\n`, e);
+    }
+  }
+  server.close();
+  console.log(failed ? `${failed} of ${Object.keys(checks).length} checks failed` : `All ${Object.keys(checks).length} checks passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,76 @@
+// Moves images and documents from before the media library into it: uploaded
+// filenames and inline base64 images in imagePath, and RAG documents that are
+// plain files in uploads/. Safe to run more than once.
+require('dotenv').config();
+
+const path = require('path');
+const prisma = require('../lib/db');
+const { storeMedia, importLegacyImage, setCoverMedia } = require('../lib/media');
+const { driverFor } = require('../lib/storage');
+
+async function importRows(label, rows, save) {
+  let imported = 0;
+  for (const row of rows) {
+    try {
+      const media = await importLegacyImage(row.brandId, row.imagePath);
+      if (!media) {
+        console.warn(`${label} ${row.id}: nothing usable in imagePath, skipped`);
+        continue;
+      }
+      await save(row, media);
+      imported++;
+    } catch (e) {
+      console.error(`❌ ${label} ${row.id}:`, e.message);
+    }
+  }
+  return imported;
+}
+
+async function main() {
+  const legacy = { mediaId: null, imagePath: { not: null } };
+
+  const posts = await prisma.post.findMany({ where: legacy, select: { id: true, brandId: true, imagePath: true } });
+  const postCount = await importRows('Post', posts, (p, media) =>
+    prisma.$transaction(async (tx) => {
+      await setCoverMedia(tx, p.id, media.id);
+      await tx.post.update({ where: { id: p.id }, data: { imagePath: null } });
+    }));
+
+  const variants = await prisma.postVariant.findMany({
+    where: legacy,
+    select: { id: true, imagePath: true, post: { select: { brandId: true } } }
+  });
+  const variantCount = await importRows('Version', variants.map(v => ({ ...v, brandId: v.post.brandId })), (v, media) =>
+    prisma.postVariant.update({ where: { id: v.id }, data: { mediaId: media.id, imagePath: null } }));
+
+  const campaigns = await prisma.campaign.findMany({ where: legacy, select: { id: true, brandId: true, imagePath: true } });
+  const campaignCount = await importRows('Campaign', campaigns, (c, media) =>
+    prisma.campaign.update({ where: { id: c.id }, data: { mediaId: media.id, imagePath: null } }));
+
+  let documentCount = 0;
+  const local = driverFor('local');
+  const documents = await prisma.brandDocument.findMany({ where: { mediaId: null } });
+  for (const doc of documents) {
+    try {
+      const filename = path.basename(doc.filename);
+      if (!await local.exists(filename)) {
+        console.warn(`Document ${doc.id}: ${doc.filename} is missing, skipped`);
+        continue;
+      }
+      const media = await storeMedia({ brandId: doc.brandId, buffer: await local.get(filename), originalName: doc.originalName, kinds: ['document'] });
+      await prisma.brandDocument.update({ where: { id: doc.id }, data: { mediaId: media.id, filename: media.storageKey, mime: media.mimeType } });
+      documentCount++;
+    } catch (e) {
+      console.error(`❌ Document ${doc.id}:`, e.message);
+    }
+  }
+
+  console.log(`✅ Imported media for ${postCount} post(s), ${variantCount} version(s), ${campaignCount} campaign(s) and ${documentCount} document(s)`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Media import failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,46 @@
+// Encrypts plaintext credentials left over from before encryption and re-encrypts
+// everything written under an older key with the current CREDENTIALS_KEY.
+//
+// Rotation: move the old key into CREDENTIALS_PREVIOUS_KEYS ("oldId:base64"), set the
+// new CREDENTIALS_KEY / CREDENTIALS_KEY_ID, run this script, then drop the old key.
+require('dotenv').config();
+
+const prisma = require('../lib/db');
+const { CREDENTIAL_FIELDS, encryptSecret, decryptSecret, needsReencryption } = require('../lib/secrets');
+
+async function main() {
+  let brandsUpdated = 0;
+  let tokensUpdated = 0;
+
+  const brands = await prisma.brand.findMany();
+  for (const brand of brands) {
+    const data = {};
+    Object.values(CREDENTIAL_FIELDS).forEach(field => {
+      if (needsReencryption(brand[field])) data[field] = encryptSecret(decryptSecret(brand[field]));
+    });
+
+    if (Object.keys(data).length) {
+      await prisma.brand.update({ where: { id: brand.id }, data });
+      brandsUpdated++;
+    }
+  }
+
+  const tokens = await prisma.brandToken.findMany();
+  for (const t of tokens) {
+    if (!needsReencryption(t.token)) continue;
+    await prisma.brandToken.update({
+      where: { id: t.id },
+      data: { token: encryptSecret(decryptSecret(t.token)) }
+    });
+    tokensUpdated++;
+  }
+
+  console.log(`✅ Re-encrypted credentials for ${brandsUpdated} brand(s) and ${tokensUpdated} token(s)`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Re-encryption failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());